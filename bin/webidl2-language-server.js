@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+"use strict";
+
+const { createServer } = require("../lib/language-server");
+
+/**
+ * Runs a language server reading messages from |input| and writing its
+ * responses to |output|, each preceded by a Content-Length header.
+ * @param {import("stream").Readable} input
+ * @param {import("stream").Writable} output
+ * @param {(code: number) => void} exit
+ */
+function connect(input, output, exit) {
+  function send(message) {
+    const body = JSON.stringify(message);
+    output.write(`Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`);
+  }
+  const server = createServer(send, exit);
+  let buffer = Buffer.alloc(0);
+  input.on("data", chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (true) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+      const match = /^Content-Length: *(\d+)$/im.exec(buffer.slice(0, headerEnd).toString("ascii"));
+      const start = headerEnd + 4;
+      if (!match) {
+        buffer = buffer.slice(start);
+        continue;
+      }
+      const end = start + Number(match[1]);
+      if (buffer.length < end) return;
+      const body = buffer.slice(start, end).toString("utf8");
+      buffer = buffer.slice(end);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        send({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+        continue;
+      }
+      server.handle(message);
+    }
+  });
+  input.on("end", () => exit(1));
+}
+
+module.exports.connect = connect;
+
+if (require.main === module) {
+  connect(process.stdin, process.stdout, code => process.exit(code));
+}
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const pth = require("path");
+const webidl2 = require("../lib/webidl2");
+const writer = require("../lib/writer");
+const { lint: lintAst } = require("../lib/lint");
+
+const usage = `Usage: webidl2 <command> [options] [files...]
+
+Commands:
+  parse    Print the AST of the files as JSON
+  check    Report syntax and validation errors, exiting with 1 if there are any
+  format   Print the files with consistent indentation and spacing
+  lint     Report style problems, exiting with 1 if there are errors
+
+Options:
+  --source-locations       Attach source locations to the AST (parse)
+  --allow-nested-typedefs  Accept typedefs inside interfaces
+  --strict                 Reject legacy syntax, using the strict profile
+  --write                  Overwrite the files instead of printing them (format)
+  --fix                    Fix the problems that can be, overwriting the files (lint)
+  --config=<file>          Read the severities of the rules (lint) and the extended
+                           attributes to accept (check) from a JSON file
+  --help                   Show this message
+
+Files can be glob patterns such as "idl/**/*.webidl". Without files, or with "-",
+the IDL is read from the standard input.`;
+
+class UsageError extends Error {}
+
+/**
+ * Converts a glob pattern into a regular expression matching relative paths.
+ * Supports "*", "?" and "**" as a whole path segment.
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i++;
+      }
+    }
+    else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else re += c.replace(/[\\^$.|+()[\]{}]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function* walk(dir) {
+  for (const entry of fs.readdirSync(dir)) {
+    const path = pth.join(dir, entry);
+    if (fs.statSync(path).isDirectory()) yield* walk(path);
+    else yield path;
+  }
+}
+
+/**
+ * Expands a file argument into the list of files it stands for.
+ * @param {string} pattern
+ */
+function expand(pattern) {
+  if (!/[*?]/.test(pattern)) return [pattern];
+  const segments = pattern.split(/[\\/]/);
+  const glob = segments.findIndex(segment => /[*?]/.test(segment));
+  const base = segments.slice(0, glob).join("/") || ".";
+  const re = globToRegExp(segments.slice(glob).join("/"));
+  const files = [];
+  if (fs.existsSync(base)) {
+    for (const path of walk(base)) {
+      if (re.test(pth.relative(base, path).split(pth.sep).join("/"))) files.push(path);
+    }
+  }
+  if (!files.length) throw new UsageError(`No files match ${pattern}`);
+  return files.sort();
+}
+
+function parseArgs(argv) {
+  const args = { command: null, files: [], opt: {}, write: false, fix: false, config: null, help: false };
+  for (const arg of argv) {
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--source-locations") args.opt.sourceLocations = true;
+    else if (arg === "--allow-nested-typedefs") args.opt.allowNestedTypedefs = true;
+    else if (arg === "--strict") args.opt.profile = "strict";
+    else if (arg === "--write") args.write = true;
+    else if (arg === "--fix") args.fix = true;
+    else if (arg.startsWith("--config=")) args.config = arg.slice("--config=".length);
+    else if (arg.startsWith("--")) throw new UsageError(`Unknown option ${arg}`);
+    else if (!args.command) args.command = arg;
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+function readSources(files) {
+  if (!files.length) files = ["-"];
+  const sources = [];
+  for (const file of files) {
+    if (file === "-") {
+      sources.push({ name: "<stdin>", text: fs.readFileSync(0, "utf8") });
+      continue;
+    }
+    for (const path of expand(file)) {
+      sources.push({ name: path, text: fs.readFileSync(path, "utf8") });
+    }
+  }
+  return sources;
+}
+
+function formatPosition(sourceName, { line, column }) {
+  return `${sourceName}:${line}:${column}`;
+}
+
+function formatError(error) {
+  return `${formatPosition(error.sourceName, error.range.start)}: ${error.message} (${error.code})`;
+}
+
+function parse(sources, args, out) {
+  out.stdout(JSON.stringify(webidl2.parseAll(sources, args.opt), null, 2) + "\n");
+  return 0;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Reads the JSON configuration file of the check and lint commands.
+ * @param {string} path
+ */
+function readConfig(path) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") throw error;
+    throw new UsageError(`${path}: ${error.message}`);
+  }
+  if (!isObject(config)) {
+    throw new UsageError(`${path}: The configuration must be an object`);
+  }
+  if (config.rules !== undefined && !isObject(config.rules)) {
+    throw new UsageError(`${path}: The rules must be an object`);
+  }
+  if (config.extendedAttributes !== undefined && !isObject(config.extendedAttributes)) {
+    throw new UsageError(`${path}: The extended attributes must be an object`);
+  }
+  for (const name of Object.keys(config.extendedAttributes || {})) {
+    const entry = config.extendedAttributes[name];
+    if (!isObject(entry) || !Array.isArray(entry.shapes) || !Array.isArray(entry.placements)) {
+      throw new UsageError(`${path}: The extended attribute ${name} must have lists of shapes and placements`);
+    }
+  }
+  return config;
+}
+
+function check(sources, args, out) {
+  const opt = Object.assign({}, args.opt, { recover: true, sourceLocations: true });
+  const config = args.config ? readConfig(args.config) : {};
+  const { ast, errors } = webidl2.parseAll(sources, opt);
+  for (const error of errors) {
+    out.stderr(formatError(error) + "\n");
+  }
+  const diagnostics = webidl2.validate(ast, { extendedAttributes: config.extendedAttributes });
+  for (const diagnostic of diagnostics) {
+    const { definition, node } = diagnostic;
+    const location = (node && node.location) || definition.location;
+    out.stderr(`${formatPosition(definition.sourceName, location.start)}: ${diagnostic.message} (${diagnostic.code})\n`);
+  }
+  const count = errors.length + diagnostics.length;
+  if (count) {
+    out.stderr(`${count} problem${count === 1 ? "" : "s"} found\n`);
+    return 1;
+  }
+  return 0;
+}
+
+function format(sources, args, out) {
+  const opt = Object.assign({}, args.opt, { ws: true });
+  for (const source of sources) {
+    const formatted = writer.write(webidl2.parseAll([source], opt), { format: true });
+    if (args.write && source.name !== "<stdin>") {
+      if (formatted !== source.text) fs.writeFileSync(source.name, formatted);
+    } else {
+      out.stdout(formatted);
+    }
+  }
+  return 0;
+}
+
+function lint(sources, args, out) {
+  const opt = Object.assign({}, args.opt, { lossless: true, sourceLocations: true });
+  const config = args.config ? readConfig(args.config) : {};
+  // Each file is parsed on its own so that it can be written back on its own
+  const docs = sources.map(source => webidl2.parseAll([source], opt));
+  try {
+    // Checks the configuration before any fix is made
+    lintAst([], { rules: config.rules });
+  } catch (error) {
+    throw new UsageError(`${args.config}: ${error.message}`);
+  }
+  const problems = lintAst([].concat(...docs), { rules: config.rules, fix: args.fix });
+  if (args.fix) {
+    sources.forEach((source, i) => {
+      const fixed = writer.write(docs[i]);
+      if (source.name === "<stdin>") out.stdout(fixed);
+      else if (fixed !== source.text) fs.writeFileSync(source.name, fixed);
+    });
+  }
+  for (const problem of problems) {
+    const { definition, node, severity } = problem;
+    const location = (node && node.location) || definition.location;
+    out.stderr(`${formatPosition(definition.sourceName, location.start)}: ${severity}: ${problem.message} (${problem.rule})\n`);
+  }
+  const errors = problems.filter(problem => problem.severity === "error").length;
+  if (problems.length) {
+    out.stderr(`${problems.length} problem${problems.length === 1 ? "" : "s"} found, ${errors} error${errors === 1 ? "" : "s"}\n`);
+  }
+  return errors ? 1 : 0;
+}
+
+const commands = new Map([["parse", parse], ["check", check], ["format", format], ["lint", lint]]);
+
+/**
+ * Runs the command line interface and returns the exit code.
+ * @param {string[]} argv the arguments, without the node executable and script
+ * @param {{ stdout(str: string): void, stderr(str: string): void }} out
+ */
+function main(argv, out) {
+  try {
+    const args = parseArgs(argv);
+    if (args.help) {
+      out.stdout(usage + "\n");
+      return 0;
+    }
+    const command = commands.get(args.command);
+    if (!command) {
+      throw new UsageError(args.command ? `Unknown command ${args.command}` : "No command given");
+    }
+    return command(readSources(args.files), args, out);
+  }
+  catch (error) {
+    if (error instanceof UsageError) {
+      out.stderr(`${error.message}\n\n${usage}\n`);
+      return 2;
+    }
+    if (error.code === "ENOENT") {
+      out.stderr(`No such file: ${error.path}\n`);
+      return 2;
+    }
+    if (error.sourceName) {
+      out.stderr(formatError(error) + "\n");
+      return 1;
+    }
+    throw error;
+  }
+}
+
+module.exports.main = main;
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2), {
+    stdout: str => process.stdout.write(str),
+    stderr: str => process.stderr.write(str)
+  });
+}
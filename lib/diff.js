@@ -0,0 +1,323 @@
+"use strict";
+
+(() => {
+  const webidl2 = typeof require === "function" ? require("./webidl2.js") : (self || window).WebIDL2;
+  const { typeString: type_string, definitionLabel: label } = webidl2;
+
+  const specials = ["getter", "setter", "creator", "deleter", "legacycaller", "stringifier"];
+  const declarations = new Set(["iterable", "async iterable", "legacyiterable", "maplike", "setlike"]);
+
+  // The flattened member types of a type, and whether it accepts null
+  function flatten(it, ret = { types: new Set(), nullable: false }) {
+    if (it.nullable) ret.nullable = true;
+    if (it.union) {
+      for (const member of it.idlType) flatten(member, ret);
+    } else {
+      ret.types.add(type_string(Object.assign({}, it, { nullable: false })));
+    }
+    return ret;
+  }
+
+  // Whether every value of type |a| is a value of type |b|
+  function assignable(a, b) {
+    const from = flatten(a);
+    const to = flatten(b);
+    if (from.nullable && !to.nullable) return false;
+    for (const type of from.types) {
+      if (!to.types.has(type)) return false;
+    }
+    return true;
+  }
+
+  function value_string(it) {
+    if (!it) return "none";
+    switch (it.type) {
+      case "string": return `"${it.value}"`;
+      case "sequence": return "[]";
+      case "dictionary": return "{}";
+      case "null": return "null";
+      case "NaN": return "NaN";
+      case "Infinity": return it.negative ? "-Infinity" : "Infinity";
+      default: return String(it.value);
+    }
+  }
+
+  function member_key(it) {
+    if (declarations.has(it.type)) return it.type;
+    if (it.type === "operation" && !it.name) {
+      return specials.filter(special => it[special]).join(" ") || "operation";
+    }
+    return `${it.static ? "static " : ""}${it.name}`;
+  }
+
+  function member_label(it) {
+    if (declarations.has(it.type)) return `\`${it.type}\` declaration`;
+    const kind = it.type === "const" ? "constant" : it.type;
+    if (it.type === "operation" && !it.name) return `\`${member_key(it)}\` operation`;
+    return `${it.static ? "static " : ""}${kind} \`${it.name}\``;
+  }
+
+  function operation_signature(it) {
+    return (it.arguments || []).filter(arg => arg.idlType).map(arg => {
+      return `${arg.optional ? "optional " : ""}${type_string(arg.idlType)}${arg.variadic ? "..." : ""}`;
+    }).join(", ");
+  }
+
+  function diff(oldAst, newAst) {
+    const changes = [];
+    let where = "";
+
+    function change(code, breaking, message, oldNode, newNode) {
+      changes.push({
+        code,
+        breaking,
+        message: `In ${where}: ${message}`,
+        old: oldNode,
+        new: newNode
+      });
+    }
+
+    // Compares a type that flows from the API to the page (|output|) or the
+    // other way around. Both directions leave no room for changes.
+    function compare_type(what, oldType, newType, { input, output }) {
+      if (type_string(oldType) === type_string(newType)) return;
+      const breaking = (input && !assignable(oldType, newType)) || (output && !assignable(newType, oldType));
+      change("type-changed", breaking, `The type of ${what} changed from \`${type_string(oldType)}\` to \`${type_string(newType)}\``, oldType, newType);
+    }
+
+    function compare_default(what, oldArg, newArg) {
+      const from = value_string(oldArg["default"]);
+      const to = value_string(newArg["default"]);
+      if (from === to) return;
+      change("default-changed", true, `The default value of ${what} changed from ${from} to ${to}`, oldArg, newArg);
+    }
+
+    // |callback| is set for arguments passed to functions written by the
+    // page, which reverses the direction of the types. Bare `stringifier;`
+    // operations have no arguments.
+    function compare_arguments(what, oldArgs, newArgs, callback) {
+      oldArgs = (oldArgs || []).filter(arg => arg.idlType);
+      newArgs = (newArgs || []).filter(arg => arg.idlType);
+      const count = Math.max(oldArgs.length, newArgs.length);
+      for (let i = 0; i < count; i++) {
+        const oldArg = oldArgs[i];
+        const newArg = newArgs[i];
+        if (!newArg) {
+          change("argument-removed", true, `Argument \`${oldArg.name}\` of ${what} was removed`, oldArg, null);
+          continue;
+        }
+        const arg = `argument \`${newArg.name}\` of ${what}`;
+        if (!oldArg) {
+          const breaking = !callback && !newArg.optional && !newArg.variadic;
+          change("argument-added", breaking, `Argument \`${newArg.name}\` was added to ${what}`, null, newArg);
+          continue;
+        }
+        if (oldArg.name !== newArg.name) {
+          change("argument-renamed", false, `Argument \`${oldArg.name}\` of ${what} was renamed to \`${newArg.name}\``, oldArg, newArg);
+        }
+        if (oldArg.optional !== newArg.optional) {
+          if (newArg.optional) change("argument-optional", false, `The ${arg} became optional`, oldArg, newArg);
+          else change("argument-required", !callback, `The ${arg} became required`, oldArg, newArg);
+        }
+        if (oldArg.variadic !== newArg.variadic) {
+          change("argument-variadic-changed", true, `The ${arg} ${newArg.variadic ? "became" : "is no longer"} variadic`, oldArg, newArg);
+        }
+        compare_type(arg, oldArg.idlType, newArg.idlType, callback ? { output: true } : { input: true });
+        compare_default(arg, oldArg, newArg);
+      }
+    }
+
+    function compare_operation(what, oldOp, newOp, callback) {
+      // Constructors and bare stringifiers have no return type
+      if (oldOp.idlType && newOp.idlType) {
+        compare_type(`the return value of ${what}`, oldOp.idlType, newOp.idlType, callback ? { input: true } : { output: true });
+      }
+      compare_arguments(what, oldOp.arguments, newOp.arguments, callback);
+    }
+
+    function compare_overloads(what, oldOps, newOps, callback) {
+      const unmatched = oldOps.filter(oldOp => !newOps.some(newOp => operation_signature(newOp) === operation_signature(oldOp)));
+      const added = newOps.filter(newOp => !oldOps.some(oldOp => operation_signature(newOp) === operation_signature(oldOp)));
+      if (unmatched.length === 1 && added.length === 1) {
+        compare_operation(what, unmatched[0], added[0], callback);
+        return;
+      }
+      for (const op of unmatched) {
+        change("overload-removed", true, `The overload \`(${operation_signature(op)})\` of ${what} was removed`, op, null);
+      }
+      for (const op of added) {
+        change("overload-added", false, `The overload \`(${operation_signature(op)})\` was added to ${what}`, null, op);
+      }
+    }
+
+    function compare_member(oldMem, newMem, def) {
+      const what = member_label(newMem);
+      const callback = def.type === "callback interface";
+      switch (newMem.type) {
+        case "attribute":
+          if (oldMem.readonly !== newMem.readonly) {
+            if (newMem.readonly) change("readonly-added", true, `The ${what} became readonly`, oldMem, newMem);
+            else change("readonly-removed", false, `The ${what} is no longer readonly`, oldMem, newMem);
+          }
+          compare_type(`the ${what}`, oldMem.idlType, newMem.idlType, { input: !newMem.readonly, output: true });
+          break;
+        case "const":
+          compare_type(`the ${what}`, oldMem.idlType, newMem.idlType, { input: true, output: true });
+          if (value_string(oldMem.value) !== value_string(newMem.value)) {
+            change("value-changed", true, `The value of the ${what} changed from ${value_string(oldMem.value)} to ${value_string(newMem.value)}`, oldMem, newMem);
+          }
+          break;
+        case "field":
+          if (oldMem.required !== newMem.required) {
+            if (newMem.required) change("field-required", true, `The ${what} became required`, oldMem, newMem);
+            else change("field-optional", false, `The ${what} is no longer required`, oldMem, newMem);
+          }
+          compare_type(`the ${what}`, oldMem.idlType, newMem.idlType, { input: true });
+          compare_default(`the ${what}`, oldMem, newMem);
+          break;
+        default:
+          if (declarations.has(newMem.type)) {
+            if (oldMem.readonly !== newMem.readonly) {
+              if (newMem.readonly) change("readonly-added", true, `The ${what} became readonly`, oldMem, newMem);
+              else change("readonly-removed", false, `The ${what} is no longer readonly`, oldMem, newMem);
+            }
+            const oldTypes = [].concat(oldMem.idlType);
+            const newTypes = [].concat(newMem.idlType);
+            if (oldTypes.map(type_string).join(", ") !== newTypes.map(type_string).join(", ")) {
+              change("type-changed", true, `The types of the ${what} changed from \`${oldTypes.map(type_string).join(", ")}\` to \`${newTypes.map(type_string).join(", ")}\``, oldMem, newMem);
+            }
+          }
+          else compare_operation(what, oldMem, newMem, callback);
+      }
+    }
+
+    function group_members(def) {
+      const groups = new Map();
+      for (const mem of def.members) {
+        // Constructors are compared along with the [Constructor] ones
+        if (mem.type === "constructor") continue;
+        const key = member_key(mem);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(mem);
+      }
+      return groups;
+    }
+
+    function compare_members(oldDef, newDef) {
+      const oldGroups = group_members(oldDef);
+      const newGroups = group_members(newDef);
+      for (const [key, oldMems] of oldGroups) {
+        const newMems = newGroups.get(key);
+        if (!newMems) {
+          for (const mem of oldMems) change("member-removed", true, `The ${member_label(mem)} was removed`, mem, null);
+          continue;
+        }
+        if (oldMems[0].type !== newMems[0].type) {
+          change("member-kind-changed", true, `The ${member_label(oldMems[0])} became a ${member_label(newMems[0])}`, oldMems[0], newMems[0]);
+          continue;
+        }
+        if (oldMems[0].type === "operation") {
+          compare_overloads(member_label(newMems[0]), oldMems, newMems, newDef.type === "callback interface");
+        }
+        else compare_member(oldMems[0], newMems[0], newDef);
+      }
+      for (const [key, newMems] of newGroups) {
+        if (oldGroups.has(key)) continue;
+        for (const mem of newMems) {
+          // Dictionaries are passed by the page, which has to provide
+          // required fields
+          const breaking = mem.type === "field" && mem.required;
+          change("member-added", breaking, `The ${member_label(mem)} was added`, null, mem);
+        }
+      }
+    }
+
+    function compare_definition(oldDef, newDef) {
+      if (oldDef.type !== newDef.type) {
+        change("definition-kind-changed", true, `It became a ${newDef.type}`, oldDef, newDef);
+        return;
+      }
+      if ((oldDef.inheritance || null) !== (newDef.inheritance || null)) {
+        change("inheritance-changed", true, `The inheritance changed from ${oldDef.inheritance ? `\`${oldDef.inheritance}\`` : "none"} to ${newDef.inheritance ? `\`${newDef.inheritance}\`` : "none"}`, oldDef, newDef);
+      }
+      switch (newDef.type) {
+        case "typedef":
+          compare_type("the typedef", oldDef.idlType, newDef.idlType, { input: true, output: true });
+          break;
+        case "callback":
+          compare_type("the return value", oldDef.idlType, newDef.idlType, { input: true });
+          compare_arguments("the callback", oldDef.arguments, newDef.arguments, true);
+          break;
+        case "enum": {
+          const values = def => def.values.filter(v => v.type === "string").map(v => v.value);
+          const oldValues = values(oldDef);
+          const newValues = values(newDef);
+          for (const value of oldValues) {
+            if (!newValues.includes(value)) change("enum-value-removed", true, `The value "${value}" was removed`, oldDef, newDef);
+          }
+          for (const value of newValues) {
+            if (!oldValues.includes(value)) change("enum-value-added", false, `The value "${value}" was added`, oldDef, newDef);
+          }
+          break;
+        }
+        case "interface mixin":
+          // Its members are compared in the interfaces including it
+          break;
+        case "interface":
+          compare_overloads("the constructor", constructors(oldDef), constructors(newDef), false);
+          compare_members(oldDef, newDef);
+          break;
+        default:
+          if (newDef.members) compare_members(oldDef, newDef);
+      }
+    }
+
+    function constructors(def) {
+      return def.extAttrs
+        .filter(ea => ea.name === "Constructor")
+        .map(ea => ({ arguments: ea.arguments || [] }))
+        .concat(def.members.filter(mem => mem.type === "constructor"));
+    }
+
+    function definitions(ast) {
+      const ret = new Map();
+      for (const def of webidl2.merge(ast).ast) {
+        const key = def.name || `${def.target} ${def.type} ${def[def.type]}`;
+        ret.set(key, def);
+      }
+      return ret;
+    }
+
+    const oldDefs = definitions(oldAst);
+    const newDefs = definitions(newAst);
+    for (const [key, oldDef] of oldDefs) {
+      const newDef = newDefs.get(key);
+      where = label(oldDef);
+      if (!newDef) {
+        const breaking = oldDef.type !== "interface mixin";
+        change("definition-removed", breaking, "It was removed", oldDef, null);
+        continue;
+      }
+      compare_definition(oldDef, newDef);
+    }
+    for (const [key, newDef] of newDefs) {
+      if (oldDefs.has(key)) continue;
+      where = label(newDef);
+      change("definition-added", false, "It was added", null, newDef);
+    }
+    return changes;
+  }
+
+
+  const obj = {
+    diff
+  };
+
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = obj;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], () => obj);
+  } else {
+    (self || window).WebIDL2Diff = obj;
+  }
+})();
@@ -0,0 +1,121 @@
+"use strict";
+
+(() => {
+  const webidl2 = typeof require === "function" ? require("./webidl2.js") : (self || window).WebIDL2;
+
+  const maxSafe = Math.pow(2, 53) - 1;
+  // The ranges of the integer types, where JSON numbers are exact
+  const integerTypes = new Map([
+    ["byte", [-128, 127]],
+    ["octet", [0, 255]],
+    ["short", [-32768, 32767]],
+    ["unsigned short", [0, 65535]],
+    ["long", [-2147483648, 2147483647]],
+    ["unsigned long", [0, 4294967295]],
+    ["long long", [-maxSafe, maxSafe]],
+    ["unsigned long long", [0, maxSafe]]
+  ]);
+  const numberTypes = new Set(["float", "unrestricted float", "double", "unrestricted double"]);
+  const stringTypes = new Set(["DOMString", "ByteString", "USVString"]);
+
+  // Reads an integer or float token, which may be hexadecimal or octal
+  function number(str) {
+    const negative = str[0] === "-";
+    if (negative) str = str.slice(1);
+    let ret;
+    if (/^0[xX]/.test(str)) ret = parseInt(str.slice(2), 16);
+    else if (/^0[0-7]+$/.test(str)) ret = parseInt(str, 8);
+    else ret = Number(str);
+    return negative ? -ret : ret;
+  }
+
+  function generate(ast) {
+    const { ast: merged } = webidl2.merge(ast);
+    const definitions = new Map();
+    for (const def of merged) {
+      if (def.name) definitions.set(def.name, def);
+    }
+    const { expand } = webidl2.types(merged);
+
+    function type(it) {
+      let ret;
+      if (typeof it === "string") ret = type_name(it);
+      else if (it.union) ret = { anyOf: it.idlType.map(type) };
+      else if (it.generic === "sequence" || it.generic === "FrozenArray" || it.generic === "ObservableArray") {
+        ret = { type: "array", items: type(it.idlType) };
+      }
+      else if (it.generic === "record") ret = { type: "object", additionalProperties: type(it.idlType[1]) };
+      else if (it.generic) ret = {};
+      else ret = type(it.idlType);
+      if (it.nullable) ret = { anyOf: [ret, { type: "null" }] };
+      return ret;
+    };
+    function type_name(name) {
+      if (integerTypes.has(name)) {
+        const [minimum, maximum] = integerTypes.get(name);
+        return { type: "integer", minimum, maximum };
+      }
+      // BigInts have no JSON representation, but integers are the closest
+      if (name === "bigint") return { type: "integer" };
+      if (numberTypes.has(name)) return { type: "number" };
+      if (stringTypes.has(name)) return { type: "string" };
+      if (name === "boolean") return { type: "boolean" };
+      if (name === "object") return { type: "object" };
+      const def = definitions.get(name);
+      if (!def) return {};
+      if (def.type === "dictionary" || def.type === "enum") return { $ref: `#/definitions/${name}` };
+      return {};
+    };
+    function default_value(it) {
+      switch (it.type) {
+        case "number": return number(it.value);
+        case "string": return it.value;
+        case "boolean": return it.value;
+        case "null": return null;
+        case "sequence": return [];
+        case "dictionary": return {};
+      }
+      // Infinity and NaN have no JSON representation
+    };
+
+    function dictionary(it) {
+      const ret = { type: "object", properties: {} };
+      const required = [];
+      for (const mem of it.members) {
+        const schema = ret.properties[mem.name] = type(expand(mem.idlType));
+        if (mem.required) required.push(mem.name);
+        const value = mem["default"] && default_value(mem["default"]);
+        if (value !== undefined) schema["default"] = value;
+      }
+      if (required.length) ret.required = required;
+      if (!it.inheritance) return ret;
+      return { allOf: [type_name(it.inheritance), ret] };
+    };
+    function enum_(it) {
+      return { type: "string", "enum": it.values.filter(v => v.type === "string").map(v => v.value) };
+    };
+
+    const schemas = {};
+    for (const def of merged) {
+      if (def.type === "dictionary") schemas[def.name] = dictionary(def);
+      else if (def.type === "enum") schemas[def.name] = enum_(def);
+    }
+    return {
+      $schema: "http://json-schema.org/draft-07/schema#",
+      definitions: schemas
+    };
+  };
+
+
+  const obj = {
+    generate
+  };
+
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = obj;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], () => obj);
+  } else {
+    (self || window).WebIDL2JSONSchema = obj;
+  }
+})();
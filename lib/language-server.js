@@ -0,0 +1,355 @@
+"use strict";
+
+(() => {
+  const webidl2 = typeof require === "function" ? require("./webidl2.js") : (self || window).WebIDL2;
+  const writer = typeof require === "function" ? require("./writer.js") : (self || window).WebIDL2Writer;
+
+  // Constants of the Language Server Protocol
+  const errorCodes = { methodNotFound: -32601, internalError: -32603 };
+  const symbolKinds = new Map([
+    ["interface", 11],
+    ["interface mixin", 11],
+    ["callback interface", 11],
+    ["namespace", 3],
+    ["dictionary", 23],
+    ["enum", 10],
+    ["typedef", 26],
+    ["callback", 12],
+    ["attribute", 7],
+    ["operation", 6],
+    ["constructor", 9],
+    ["const", 14],
+    ["field", 8],
+    ["enum-value", 22]
+  ]);
+  const completionKinds = new Map([
+    ["interface", 8],
+    ["interface mixin", 8],
+    ["callback interface", 8],
+    ["namespace", 9],
+    ["dictionary", 22],
+    ["enum", 13],
+    ["typedef", 25],
+    ["callback", 3],
+    ["extended-attribute", 10],
+    ["keyword", 14]
+  ]);
+  const genericTypes = ["sequence", "record", "Promise", "FrozenArray"];
+
+  // The parsed state of an open document, with |line_starts| to convert
+  // between offsets and protocol positions.
+  function analyse(uri, text) {
+    let ast = [];
+    let errors = [];
+    try {
+      ({ ast, errors } = webidl2.parse(text, { recover: true, sourceLocations: true, documentation: true }));
+    } catch (e) {
+      errors = [e];
+    }
+    const line_starts = [0];
+    for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+      line_starts.push(i + 1);
+    }
+    return { uri, text, ast, errors, tokens: webidl2.tokenise(text), line_starts };
+  }
+
+  function to_position(doc, offset) {
+    let lo = 0;
+    let hi = doc.line_starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (doc.line_starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo, character: offset - doc.line_starts[lo] };
+  }
+
+  function to_offset(doc, position) {
+    const line = Math.min(position.line, doc.line_starts.length - 1);
+    const end = line + 1 < doc.line_starts.length ? doc.line_starts[line + 1] : doc.text.length;
+    return Math.min(doc.line_starts[line] + position.character, end);
+  }
+
+  function range(doc, start, end) {
+    return { start: to_position(doc, start), end: to_position(doc, end) };
+  }
+
+  function node_range(doc, node) {
+    return range(doc, node.location.start.offset, node.location.end.offset);
+  }
+
+  // Identifiers starting with an underscore name the same thing without it
+  function identifier(tok) {
+    return tok.value.startsWith("_") ? tok.value.slice(1) : tok.value;
+  }
+
+  function identifier_at(doc, offset) {
+    for (const tok of doc.tokens) {
+      if (tok.start > offset) break;
+      if (tok.type === "identifier" && offset <= tok.end) return tok;
+    }
+  }
+
+  // The token naming |def|: the last identifier of a typedef, or the first
+  // one with its name outside of extended attributes.
+  function declaration_token(doc, def) {
+    const { start, end } = def.location;
+    const inside = doc.tokens.filter(tok => tok.start >= start.offset && tok.end <= end.offset);
+    if (def.type === "typedef") {
+      return inside.reverse().find(tok => tok.type === "identifier");
+    }
+    let depth = 0;
+    for (const tok of inside) {
+      if (tok.type === "other" && tok.value === "[") depth++;
+      else if (tok.type === "other" && tok.value === "]") depth--;
+      else if (depth === 0 && tok.type === "identifier" && identifier(tok) === def.name) return tok;
+    }
+  }
+
+  /**
+   * Creates a language server for WebIDL files.
+   * @param {(message: object) => void} send called with each message to the client
+   * @param {(code: number) => void} exit called when the client asks the server to exit
+   */
+  function createServer(send, exit) {
+    const documents = new Map();
+    let shutdown = false;
+
+    // The definitions named |name| in all open documents, partial ones last
+    function definitions(name) {
+      const ret = [];
+      for (const doc of documents.values()) {
+        for (const def of doc.ast) {
+          if (def.name === name && def.location) ret.push({ doc, def });
+        }
+      }
+      return ret.sort((a, b) => !!a.def.partial - !!b.def.partial);
+    }
+
+    function publish(doc, diagnostics) {
+      send({
+        jsonrpc: "2.0",
+        method: "textDocument/publishDiagnostics",
+        params: { uri: doc.uri, diagnostics }
+      });
+    }
+
+    function diagnostics(doc) {
+      return doc.errors.map(error => {
+        const tok = (error.tokens || []).find(tok => tok.type !== "whitespace" && tok.type !== "comment");
+        let ret;
+        if (error.range) ret = range(doc, error.range.start.offset, error.range.end.offset);
+        else if (tok) ret = range(doc, tok.start, tok.end);
+        else {
+          const line = Math.max(0, Math.min((error.line || 1) - 1, doc.line_starts.length - 1));
+          const end = doc.text.indexOf("\n", doc.line_starts[line]);
+          ret = range(doc, doc.line_starts[line], end === -1 ? doc.text.length : end);
+        }
+        return { range: ret, severity: 1, source: "webidl2", code: error.code, message: error.message };
+      });
+    }
+
+    function open(uri, text) {
+      const doc = analyse(uri, text);
+      documents.set(uri, doc);
+      publish(doc, diagnostics(doc));
+    }
+
+    function lookup(params) {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc) return { defs: [] };
+      const tok = identifier_at(doc, to_offset(doc, params.position));
+      return { doc, tok, defs: tok ? definitions(identifier(tok)) : [] };
+    }
+
+    function definition(params) {
+      const { defs } = lookup(params);
+      if (!defs.length) return null;
+      const complete = defs.filter(it => !it.def.partial);
+      return (complete.length ? complete : defs).map(({ doc, def }) => ({ uri: doc.uri, range: node_range(doc, def) }));
+    }
+
+    function references(params) {
+      const { tok } = lookup(params);
+      if (!tok) return null;
+      const name = identifier(tok);
+      const declarations = new Set();
+      for (const { doc, def } of definitions(name)) declarations.add(declaration_token(doc, def));
+      const ret = [];
+      for (const doc of documents.values()) {
+        for (const it of doc.tokens) {
+          if (it.type !== "identifier" || identifier(it) !== name) continue;
+          if (declarations.has(it) && !(params.context && params.context.includeDeclaration)) continue;
+          ret.push({ uri: doc.uri, range: range(doc, it.start, it.end) });
+        }
+      }
+      return ret;
+    }
+
+    function hover(params) {
+      const { doc, tok, defs } = lookup(params);
+      if (!defs.length) return null;
+      const value = defs.map(({ doc, def }) => {
+        const text = doc.text.slice(def.location.start.offset, def.location.end.offset);
+        const code = "```webidl\n" + text + "\n```";
+        return def.documentation ? `${code}\n\n${def.documentation}` : code;
+      }).join("\n\n---\n\n");
+      return { contents: { kind: "markdown", value }, range: range(doc, tok.start, tok.end) };
+    }
+
+    function completion(params) {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc) return null;
+      const offset = to_offset(doc, params.position);
+      let depth = 0;
+      for (const tok of doc.tokens) {
+        if (tok.end > offset) break;
+        if (tok.type !== "other") continue;
+        if (tok.value === "[") depth++;
+        else if (tok.value === "]") depth = Math.max(depth - 1, 0);
+      }
+      const kind = completionKinds.get("keyword");
+      if (depth) {
+        const attributeKind = completionKinds.get("extended-attribute");
+        return Object.keys(webidl2.extendedAttributes).map(label => ({ label, kind: attributeKind }));
+      }
+      const items = new Map();
+      for (const label of webidl2.builtinTypes) items.set(label, { label, kind });
+      for (const label of genericTypes) items.set(label, { label, kind });
+      for (const doc of documents.values()) {
+        for (const def of doc.ast) {
+          if (def.name && completionKinds.has(def.type) && !items.has(def.name)) {
+            items.set(def.name, { label: def.name, kind: completionKinds.get(def.type), detail: def.type });
+          }
+        }
+      }
+      return [...items.values()];
+    }
+
+    function symbol(doc, node, name, children) {
+      const ret = { name, kind: symbolKinds.get(node.type), range: node_range(doc, node) };
+      ret.selectionRange = ret.range;
+      if (node.type !== "enum-value") ret.detail = node.type;
+      if (children) ret.children = children;
+      return ret;
+    }
+
+    function document_symbol(params) {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc) return null;
+      const ret = [];
+      for (const def of doc.ast) {
+        if (!def.name || !symbolKinds.has(def.type) || !def.location) continue;
+        let children = [];
+        if (def.type === "enum") {
+          children = def.values.filter(v => v.location).map(v => symbol(doc, Object.assign({}, v, { type: "enum-value" }), v.value));
+        } else if (def.members) {
+          children = def.members.filter(mem => (mem.name || mem.type === "constructor") && symbolKinds.has(mem.type) && mem.location)
+            .map(mem => symbol(doc, mem, mem.name || mem.type));
+        }
+        ret.push(symbol(doc, def, def.name, children));
+      }
+      return ret;
+    }
+
+    function formatting(params) {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc) return null;
+      let formatted;
+      try {
+        formatted = writer.write(webidl2.parse(doc.text, { ws: true }), { format: true });
+      } catch (e) {
+        // Documents with syntax errors are left alone
+        return [];
+      }
+      if (formatted === doc.text) return [];
+      return [{ range: range(doc, 0, doc.text.length), newText: formatted }];
+    }
+
+    const requests = new Map([
+      ["initialize", () => ({
+        capabilities: {
+          textDocumentSync: 1,
+          definitionProvider: true,
+          referencesProvider: true,
+          hoverProvider: true,
+          completionProvider: { triggerCharacters: ["[", ",", "<", "("] },
+          documentSymbolProvider: true,
+          documentFormattingProvider: true
+        },
+        serverInfo: { name: "webidl2" }
+      })],
+      ["shutdown", () => {
+        shutdown = true;
+        return null;
+      }],
+      ["textDocument/definition", definition],
+      ["textDocument/references", references],
+      ["textDocument/hover", hover],
+      ["textDocument/completion", completion],
+      ["textDocument/documentSymbol", document_symbol],
+      ["textDocument/formatting", formatting]
+    ]);
+
+    const notifications = new Map([
+      ["textDocument/didOpen", params => open(params.textDocument.uri, params.textDocument.text)],
+      ["textDocument/didChange", params => {
+        const changes = params.contentChanges;
+        if (changes.length) open(params.textDocument.uri, changes[changes.length - 1].text);
+      }],
+      ["textDocument/didClose", params => {
+        const doc = documents.get(params.textDocument.uri);
+        if (!doc) return;
+        documents.delete(doc.uri);
+        publish(doc, []);
+      }],
+      ["exit", () => {
+        if (exit) exit(shutdown ? 0 : 1);
+      }]
+    ]);
+
+    /**
+     * Handles a message from the client, sending the response if it is a request.
+     * @param {object} message
+     */
+    function handle(message) {
+      if (message.id === undefined) {
+        const notification = notifications.get(message.method);
+        if (notification) notification(message.params || {});
+        return;
+      }
+      const request = requests.get(message.method);
+      if (!request) {
+        send({
+          jsonrpc: "2.0",
+          id: message.id,
+          error: { code: errorCodes.methodNotFound, message: `Unknown method ${message.method}` }
+        });
+        return;
+      }
+      let result;
+      try {
+        result = request(message.params || {});
+      } catch (e) {
+        send({ jsonrpc: "2.0", id: message.id, error: { code: errorCodes.internalError, message: e.message } });
+        return;
+      }
+      send({ jsonrpc: "2.0", id: message.id, result });
+    }
+
+    return { handle };
+  }
+
+
+  const obj = {
+    createServer
+  };
+
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = obj;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], () => obj);
+  } else {
+    (self || window).WebIDL2LanguageServer = obj;
+  }
+})();
@@ -0,0 +1,340 @@
+"use strict";
+
+(() => {
+  const webidl2 = typeof require === "function" ? require("./webidl2.js") : (self || window).WebIDL2;
+  const { definitionLabel: label } = webidl2;
+
+  const severities = new Set(["off", "warn", "error"]);
+  // Fixes can uncover new problems, e.g. renaming a value to one already in
+  // the enum, so linting is repeated after them up to this many times.
+  const maxPasses = 10;
+
+  const pascalCaseRe = /^[A-Z][A-Za-z0-9]*$/;
+  const camelCaseRe = /^[a-z][A-Za-z0-9]*$/;
+  const hyphenatedRe = /^(?:[a-z0-9]+(?:-[a-z0-9]+)*)?$/;
+  const pascalCaseTypes = new Set(["interface", "interface mixin", "callback interface", "dictionary"]);
+  const camelCaseTypes = new Set(["attribute", "operation", "field"]);
+  const exposedTypes = new Set(["interface", "namespace"]);
+
+  // Splits a name at underscores, hyphens and changes of case, keeping
+  // acronyms together, as in "HTML Element"
+  function words(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z])([A-Z][a-z])/g, "$1 $2")
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  function capitalize(word) {
+    return word[0].toUpperCase() + word.slice(1);
+  }
+
+  function pascal_case(name) {
+    return words(name).map(capitalize).join("");
+  }
+
+  function camel_case(name) {
+    const [first = "", ...rest] = words(name);
+    return first.toLowerCase() + rest.map(capitalize).join("");
+  }
+
+  function hyphenated(name) {
+    return words(name).map(word => word.toLowerCase()).join("-");
+  }
+
+  // Whether two nodes are written the same, wherever they are in the source
+  function same(a, b) {
+    const replacer = (key, value) => key === "location" || key === "tokens" || key === "documentation" ? undefined : value;
+    return JSON.stringify(a, replacer) === JSON.stringify(b, replacer);
+  }
+
+  // The definitions with members sharing a name, partials included
+  function groups(ast) {
+    const ret = new Map();
+    for (const def of ast) {
+      if (!def.name || !def.members) continue;
+      if (!ret.has(def.name)) ret.set(def.name, []);
+      ret.get(def.name).push(def);
+    }
+    return ret;
+  }
+
+  function rename_definition(ast, from, to) {
+    for (const def of ast) {
+      if (def.name === from) def.name = to;
+      for (const key of ["inheritance", "target", "includes", "implements"]) {
+        if (def[key] === from) def[key] = to;
+      }
+    }
+    webidl2.walk(ast, {
+      idlType(node) {
+        if (node.idlType === from) node.idlType = to;
+      },
+      "extended-attribute"(node) {
+        const { rhs } = node;
+        if (!rhs) return;
+        if (rhs.type === "identifier" && rhs.value === from) rhs.value = to;
+        if (rhs.type === "identifier-list") rhs.value = rhs.value.map(name => name === from ? to : name);
+      }
+    });
+  }
+
+  function rename_members(defs, from, to) {
+    for (const def of defs) {
+      for (const mem of def.members) {
+        if (mem.name === from) mem.name = to;
+      }
+    }
+  }
+
+  // Renames the value |it| of the enum |def|, along with the default values
+  // of its type
+  function rename_enum_value(ast, def, it, to) {
+    const { flattenedMemberTypes } = webidl2.types(ast);
+    webidl2.walk(ast, {
+      value(node, path) {
+        if (path.key !== "default" || node.type !== "string" || node.value !== it.value) return;
+        if (flattenedMemberTypes(path.parent.idlType).some(type => type.idlType === def.name)) node.value = to;
+      }
+    });
+    it.value = to;
+  }
+
+  // Removes the value |it| of the enum |def| along with a comma, the one
+  // after it unless it is the last value and the list has no trailing comma.
+  // With the `ws` option, commas and whitespace are entries of the values,
+  // and with the `lossless` one, commas are tokens of the value before them.
+  function remove_enum_value(def, it) {
+    const { values } = def;
+    const index = values.indexOf(it);
+    if (index === -1) return;
+    if (values.some(v => v.type === ",")) {
+      let end = index + 1;
+      let start = index;
+      if (values[end] && values[end].type === ",") {
+        end++;
+        if (values[end] && values[end].type === "ws") end++;
+      } else {
+        while (start > 0 && values[start - 1].type === "ws") start--;
+        if (start > 0 && values[start - 1].type === ",") start--;
+        else start = index;
+      }
+      values.splice(start, end - start);
+      return;
+    }
+    values.splice(index, 1);
+    const previous = values[index - 1];
+    if (index < values.length || !previous || !previous.tokens || !it.tokens) return;
+    if (it.tokens.some(tok => tok.value === ",")) return;
+    previous.tokens = previous.tokens.filter(tok => tok.value !== ",");
+  }
+
+  // Maps each of |names| to its new name, or to null when another name
+  // would get the same one, so that fixes applied together do not merge
+  // different names
+  function renames(names, convert) {
+    const sources = new Map();
+    for (const name of names) {
+      const to = convert(name);
+      if (!sources.has(to)) sources.set(to, new Set());
+      sources.get(to).add(name);
+    }
+    const ret = new Map();
+    for (const name of names) {
+      const to = convert(name);
+      ret.set(name, sources.get(to).size === 1 ? to : null);
+    }
+    return ret;
+  }
+
+  function remove_member(def, mem) {
+    const index = def.members.indexOf(mem);
+    if (index !== -1) def.members.splice(index, 1);
+  }
+
+  function check_definition_names(ast, report) {
+    const invalid = ast.filter(def => pascalCaseTypes.has(def.type) && !def.partial && !pascalCaseRe.test(def.name));
+    const names = renames(invalid.map(def => def.name), pascal_case);
+    for (const def of invalid) {
+      const name = names.get(def.name);
+      const fixable = name && pascalCaseRe.test(name) && !ast.some(it => it.name === name);
+      report(`The name \`${def.name}\` should be PascalCase`, def, def, fixable && (() => rename_definition(ast, def.name, name)));
+    }
+  }
+
+  function check_member_names(ast, report) {
+    for (const defs of groups(ast).values()) {
+      const invalid = [];
+      for (const def of defs) {
+        for (const mem of def.members) {
+          if (camelCaseTypes.has(mem.type) && mem.name && !camelCaseRe.test(mem.name)) invalid.push({ def, mem });
+        }
+      }
+      const names = renames(invalid.map(({ mem }) => mem.name), camel_case);
+      const seen = new Set();
+      for (const { def, mem } of invalid) {
+        // Overloads and partials are renamed together
+        if (seen.has(mem.name)) continue;
+        seen.add(mem.name);
+        const name = names.get(mem.name);
+        const fixable = name && camelCaseRe.test(name) && !defs.some(it => it.members.some(m => m.name === name));
+        report(`The name \`${mem.name}\` should be camelCase`, def, mem, fixable && (() => rename_members(defs, mem.name, name)));
+      }
+    }
+  }
+
+  function check_enum_values(ast, report) {
+    for (const def of ast) {
+      if (def.type !== "enum") continue;
+      const invalid = def.values.filter(it => it.type === "string" && !hyphenatedRe.test(it.value));
+      const values = renames(invalid.map(it => it.value), hyphenated);
+      for (const it of invalid) {
+        const value = values.get(it.value);
+        const fixable = value && !def.values.some(v => v.value === value);
+        report(`The value "${it.value}" should be lowercase and hyphenated`, def, it, fixable && (() => rename_enum_value(ast, def, it, value)));
+      }
+    }
+  }
+
+  function check_implements(ast, report) {
+    for (const def of ast) {
+      if (def.type !== "implements") continue;
+      const mixin = ast.find(it => it.name === def["implements"] && !it.partial);
+      const fixable = mixin && mixin.type === "interface mixin";
+      report("`implements` statements are deprecated, use an interface mixin and an `includes` statement instead", def, def, fixable && (() => {
+        def.type = "includes";
+        def.includes = def["implements"];
+        delete def["implements"];
+      }));
+    }
+  }
+
+  function check_legacyiterable(ast, report) {
+    for (const def of ast) {
+      if (!def.members) continue;
+      for (const mem of def.members) {
+        if (mem.type !== "legacyiterable") continue;
+        report("`legacyiterable` declarations are deprecated, use `iterable` instead", def, mem, () => {
+          mem.type = "iterable";
+        });
+      }
+    }
+  }
+
+  function check_exposed(ast, report) {
+    for (const defs of groups(ast).values()) {
+      const base = defs.find(def => !def.partial);
+      if (!base || !exposedTypes.has(base.type)) continue;
+      if (defs.some(def => def.extAttrs.some(ea => ea.name === "Exposed"))) continue;
+      report("Missing the `[Exposed]` extended attribute", base, base);
+    }
+  }
+
+  function check_duplicate_enum_values(ast, report) {
+    for (const def of ast) {
+      if (def.type !== "enum") continue;
+      const seen = new Set();
+      for (const it of def.values) {
+        if (it.type !== "string") continue;
+        if (!seen.has(it.value)) {
+          seen.add(it.value);
+          continue;
+        }
+        report(`The value "${it.value}" is listed more than once`, def, it, () => remove_enum_value(def, it));
+      }
+    }
+  }
+
+  function check_duplicate_members(ast, report) {
+    for (const defs of groups(ast).values()) {
+      const seen = new Map();
+      for (const def of defs) {
+        for (const mem of def.members) {
+          if (!mem.name) continue;
+          const first = seen.get(mem.name);
+          if (!first) {
+            seen.set(mem.name, { def, mem });
+            continue;
+          }
+          const identical = same(first.mem, mem);
+          // Operations of the same name are overloads
+          if (first.mem.type === "operation" && mem.type === "operation" && !identical) continue;
+          const where = first.def === def ? "" : ` in ${label(first.def)}`;
+          report(`\`${mem.name}\` is already declared${where}`, def, mem, identical && (() => remove_member(def, mem)));
+        }
+      }
+    }
+  }
+
+  // The rules, with their default severities
+  const rules = new Map([
+    ["definition-name-case", { severity: "warn", check: check_definition_names }],
+    ["member-name-case", { severity: "warn", check: check_member_names }],
+    ["enum-value-case", { severity: "warn", check: check_enum_values }],
+    ["no-implements", { severity: "warn", check: check_implements }],
+    ["no-legacyiterable", { severity: "warn", check: check_legacyiterable }],
+    ["require-exposed", { severity: "warn", check: check_exposed }],
+    ["no-duplicate-enum-values", { severity: "error", check: check_duplicate_enum_values }],
+    ["no-duplicate-members", { severity: "error", check: check_duplicate_members }]
+  ]);
+  const defaults = {};
+  for (const [name, rule] of rules) defaults[name] = rule.severity;
+
+  function configure(config = {}) {
+    const ret = new Map(Object.keys(defaults).map(name => [name, defaults[name]]));
+    for (const name of Object.keys(config)) {
+      if (!rules.has(name)) throw new TypeError(`Unknown rule ${name}`);
+      if (!severities.has(config[name])) throw new TypeError(`Unknown severity ${config[name]} for rule ${name}`);
+      ret.set(name, config[name]);
+    }
+    return ret;
+  }
+
+  function lint(ast, opt = {}) {
+    const enabled = configure(opt.rules);
+
+    function run() {
+      const problems = [];
+      for (const [name, rule] of rules) {
+        const severity = enabled.get(name);
+        if (severity === "off") continue;
+        rule.check(ast, (message, definition, node, fix) => {
+          problems.push({
+            rule: name,
+            severity,
+            message: `In ${label(definition)}: ${message}`,
+            definition,
+            node,
+            fix: fix || null
+          });
+        });
+      }
+      return problems;
+    }
+
+    let problems = run();
+    if (!opt.fix) return problems;
+    for (let pass = 0; pass < maxPasses && problems.some(problem => problem.fix); pass++) {
+      for (const problem of problems) {
+        if (problem.fix) problem.fix();
+      }
+      problems = run();
+    }
+    return problems;
+  }
+
+
+  const obj = {
+    lint,
+    rules: defaults
+  };
+
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = obj;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], () => obj);
+  } else {
+    (self || window).WebIDL2Lint = obj;
+  }
+})();
@@ -0,0 +1,252 @@
+"use strict";
+
+(() => {
+  const webidl2 = typeof require === "function" ? require("./webidl2.js") : (self || window).WebIDL2;
+
+  const numberTypes = new Set([
+    "byte", "octet", "short", "unsigned short", "long", "unsigned long",
+    "long long", "unsigned long long", "float", "unrestricted float",
+    "double", "unrestricted double"
+  ]);
+  const stringTypes = new Set(["DOMString", "ByteString", "USVString"]);
+  // The type names of TypeScript itself, which definitions cannot take
+  const reservedNames = new Set([
+    "any", "bigint", "boolean", "never", "null", "number", "object", "string",
+    "symbol", "undefined", "unknown", "void"
+  ]);
+  // Those that are IDL types too, and so are never references to definitions
+  const idlTypes = new Set(["any", "bigint", "boolean", "object", "symbol", "undefined", "void"]);
+
+  // Escapes the name of a definition that clashes with a TypeScript type
+  function def_name(name) {
+    return reservedNames.has(name) ? `_${name}` : name;
+  }
+
+  function generate(ast, opt = {}) {
+    const indent = typeof opt.indent === "string" ? opt.indent : "  ";
+    const { ast: merged } = webidl2.merge(ast);
+    // Mixins included by each interface, which become part of its `extends`
+    // list instead of having their members copied
+    const mixins = new Map();
+    for (const def of ast) {
+      if (def.type !== "includes") continue;
+      if (!mixins.has(def.target)) mixins.set(def.target, []);
+      mixins.get(def.target).push(def.includes);
+    }
+
+    function type(it) {
+      if (typeof it === "string") return type_name(it);
+      let ret;
+      if (it.union) ret = it.idlType.map(type).join(" | ");
+      else if (it.generic === "sequence" || it.generic === "ObservableArray") ret = `${element(it.idlType)}[]`;
+      else if (it.generic === "FrozenArray") ret = `ReadonlyArray<${type(it.idlType)}>`;
+      else if (it.generic === "record") ret = `Record<string, ${type(it.idlType[1])}>`;
+      else if (it.generic) ret = `${it.generic}<${[].concat(it.idlType).map(type).join(", ")}>`;
+      else ret = type(it.idlType);
+      if (it.nullable) ret += " | null";
+      return ret;
+    };
+    // Array element types need parentheses when they are unions
+    function element(it) {
+      const ret = type(it);
+      return it.union || it.nullable ? `(${ret})` : ret;
+    };
+    function type_name(name) {
+      if (numberTypes.has(name)) return "number";
+      if (stringTypes.has(name)) return "string";
+      return idlTypes.has(name) ? name : def_name(name);
+    };
+
+    function args(its) {
+      // Skips the whitespace entries stored with the ws option
+      return its.filter(arg => arg.idlType).map(argument).join(", ");
+    };
+    function argument(arg) {
+      if (arg.variadic) return `...${arg.name}: ${element(arg.idlType)}[]`;
+      return `${arg.name}${arg.optional ? "?" : ""}: ${type(arg.idlType)}`;
+    };
+    function signature(it) {
+      return `(${args(it.arguments)}): ${type(it.idlType)}`;
+    };
+    function const_type(it) {
+      return type(it.idlType) + (it.nullable ? " | null" : "");
+    };
+
+    function iterable_members(it, owner) {
+      const [first, second] = [].concat(it.idlType).map(type);
+      const readonly = it.readonly;
+      const forEach = (key, value) =>
+        `forEach(callbackfn: (value: ${value}, key: ${key}, parent: ${owner}) => void, thisArg?: any): void;`;
+      const iterators = (key, value, entry) => [
+        `[Symbol.iterator](): IterableIterator<${entry}>;`,
+        `entries(): IterableIterator<[${key}, ${value}]>;`,
+        `keys(): IterableIterator<${key}>;`,
+        `values(): IterableIterator<${value}>;`
+      ];
+      if (it.type === "async iterable") {
+        const key = second ? first : null;
+        const value = second || first;
+        const entry = key ? `[${key}, ${value}]` : value;
+        const params = it.arguments ? args(it.arguments) : "";
+        const ret = [`[Symbol.asyncIterator](${params}): AsyncIterableIterator<${entry}>;`];
+        if (key) {
+          ret.push(
+            `entries(${params}): AsyncIterableIterator<[${key}, ${value}]>;`,
+            `keys(${params}): AsyncIterableIterator<${key}>;`
+          );
+        }
+        ret.push(`values(${params}): AsyncIterableIterator<${value}>;`);
+        return ret;
+      }
+      if (it.type === "iterable" || it.type === "legacyiterable") {
+        // Value iterators iterate over the indexed properties
+        const key = second ? first : "number";
+        const value = second || first;
+        const entry = second ? `[${key}, ${value}]` : value;
+        return [...iterators(key, value, entry), forEach(key, value)];
+      }
+      if (it.type === "maplike") {
+        const ret = [
+          "readonly size: number;",
+          ...iterators(first, second, `[${first}, ${second}]`),
+          forEach(first, second),
+          `get(key: ${first}): ${second} | undefined;`,
+          `has(key: ${first}): boolean;`
+        ];
+        if (!readonly) {
+          ret.push(`set(key: ${first}, value: ${second}): this;`, `delete(key: ${first}): boolean;`, "clear(): void;");
+        }
+        return ret;
+      }
+      const ret = [
+        "readonly size: number;",
+        ...iterators(first, first, first),
+        forEach(first, first),
+        `has(value: ${first}): boolean;`
+      ];
+      if (!readonly) {
+        ret.push(`add(value: ${first}): this;`, `delete(value: ${first}): boolean;`, "clear(): void;");
+      }
+      return ret;
+    };
+
+    // The members of the instances of an interface
+    function instance_member(it, owner) {
+      if (it.static) return [];
+      switch (it.type) {
+        case "attribute":
+          return [`${it.readonly ? "readonly " : ""}${it.name}: ${type(it.idlType)};`];
+        case "const":
+          return [`readonly ${it.name}: ${const_type(it)};`];
+        case "operation": {
+          if (it.stringifier && !it.name) return ["toString(): string;"];
+          const ret = [];
+          if (it.getter && it.arguments.length === 1) {
+            const key = type(it.arguments[0].idlType);
+            // TypeScript requires every property to match a string index
+            // signature, so it can only be precise on interfaces without them
+            const named = key === "string" && owner.members.some(mem => mem.name && !mem.static);
+            ret.push(`[${key === "number" ? "index" : "name"}: ${key}]: ${named ? "any" : type(it.idlType)};`);
+          }
+          if (it.legacycaller && !it.name) ret.push(signature(it) + ";");
+          if (it.name) ret.push(`${it.name}${signature(it)};`);
+          return ret;
+        }
+        case "iterable":
+        case "async iterable":
+        case "legacyiterable":
+        case "maplike":
+        case "setlike":
+          return iterable_members(it, def_name(owner.name));
+        default:
+          return [];
+      }
+    };
+    // The members of the interface object, along with the prototype
+    function static_member(it) {
+      if (it.type === "const") return [`readonly ${it.name}: ${const_type(it)};`];
+      if (!it.static) return [];
+      if (it.type === "attribute") return [`${it.readonly ? "readonly " : ""}${it.name}: ${type(it.idlType)};`];
+      if (it.type === "operation") return [`${it.name}${signature(it)};`];
+      return [];
+    };
+
+    function ext_attr(it, name) {
+      return it.extAttrs.filter(ea => ea.name === name);
+    };
+    function own_members(it) {
+      // Members of included mixins come from the mixin interfaces
+      return it.members.filter(mem => !mem.origin || mem.origin.type !== "interface mixin" || it.type === "interface mixin");
+    };
+    function body(lines) {
+      if (!lines.length) return "{}";
+      return `{\n${lines.map(line => `${indent}${line}\n`).join("")}}`;
+    };
+
+    function interface_(it) {
+      const parents = [];
+      if (it.inheritance) parents.push(it.inheritance);
+      if (mixins.has(it.name)) parents.push(...mixins.get(it.name));
+      const name = def_name(it.name);
+      const members = own_members(it);
+      const lines = [].concat(...members.map(mem => instance_member(mem, it)));
+      let ret = `interface ${name}${parents.length ? ` extends ${parents.map(def_name).join(", ")}` : ""} ${body(lines)}`;
+      if (it.type !== "interface" || ext_attr(it, "NoInterfaceObject").length) return ret;
+      const statics = [`prototype: ${name};`];
+      for (const ctor of ext_attr(it, "Constructor").concat(members.filter(mem => mem.type === "constructor"))) {
+        statics.push(`new(${args(ctor.arguments || [])}): ${name};`);
+      }
+      statics.push(...[].concat(...members.map(static_member)));
+      ret += `\n\ndeclare var ${name}: ${body(statics)};`;
+      return ret;
+    };
+    function dictionary(it) {
+      const lines = it.members.map(mem => `${mem.name}${mem.required ? "" : "?"}: ${type(mem.idlType)};`);
+      return `interface ${def_name(it.name)}${it.inheritance ? ` extends ${def_name(it.inheritance)}` : ""} ${body(lines)}`;
+    };
+    function namespace(it) {
+      const lines = [];
+      for (const mem of it.members) {
+        if (mem.type === "attribute") lines.push(`${mem.readonly ? "const" : "var"} ${mem.name}: ${type(mem.idlType)};`);
+        else if (mem.type === "operation") lines.push(`function ${mem.name}${signature(mem)};`);
+      }
+      return `declare namespace ${def_name(it.name)} ${body(lines)}`;
+    };
+    function enum_(it) {
+      const values = it.values.filter(v => v.type === "string").map(v => JSON.stringify(v.value));
+      // An enum without values has no instances
+      return `type ${def_name(it.name)} = ${values.length ? values.join(" | ") : "never"};`;
+    };
+
+    const table = {
+      interface: interface_,
+      "interface mixin": interface_,
+      "callback interface": interface_,
+      dictionary,
+      namespace,
+      enum: enum_,
+      typedef: it => `type ${def_name(it.name)} = ${type(it.idlType)};`,
+      callback: it => `type ${def_name(it.name)} = (${args(it.arguments)}) => ${type(it.idlType)};`,
+      implements: it => `interface ${def_name(it.target)} extends ${def_name(it.implements)} {}`
+    };
+    const ret = [];
+    for (const def of merged) {
+      const dispatcher = table[def.type];
+      if (dispatcher) ret.push(dispatcher(def));
+    }
+    return ret.length ? `${ret.join("\n\n")}\n` : "";
+  };
+
+
+  const obj = {
+    generate
+  };
+
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = obj;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], () => obj);
+  } else {
+    (self || window).WebIDL2TypeScript = obj;
+  }
+})();
@@ -20,12 +20,30 @@
     re.lastIndex = lastIndex;
     const result = re.exec(str);
     if (result) {
-      tokens.push({ type, value: result[0] });
+      tokens.push({ type, value: result[0], start: lastIndex, end: re.lastIndex });
       return re.lastIndex;
     }
     return -1;
   }
 
+  // Returns a function mapping offsets in |str| to 1-based lines and columns.
+  function locator(str) {
+    const line_starts = [0];
+    for (let i = str.indexOf("\n"); i !== -1; i = str.indexOf("\n", i + 1)) {
+      line_starts.push(i + 1);
+    }
+    return offset => {
+      let lo = 0;
+      let hi = line_starts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (line_starts[mid] <= offset) lo = mid;
+        else hi = mid - 1;
+      }
+      return { line: lo + 1, column: offset - line_starts[lo] + 1, offset };
+    };
+  }
+
   function tokenise(str) {
     const tokens = [];
     let lastIndex = 0;
@@ -68,24 +86,140 @@
     return tokens;
   }
 
+  // The edit distance between two strings
+  function distance(a, b) {
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      }
+      row = next;
+    }
+    return row[b.length];
+  }
+
+  // The candidate that |word| is most likely a misspelling of, if any,
+  // ignoring case unless |min| is 1
+  function closest(word, candidates, min = 0) {
+    let best;
+    let max = Math.min(2, Math.ceil(word.length / 2) - 1);
+    for (const candidate of candidates) {
+      const d = distance(word.toLowerCase(), candidate.toLowerCase());
+      if (d >= min && d <= max) {
+        best = candidate;
+        max = d - 1;
+      }
+    }
+    return best;
+  }
+
+  // A "comment" token holds any run of comments along with the white space
+  // between them, so it is split up again for the public token list.
+  const triviaRe = /[\t\n\r ]+|\/\/.*|\/\*(?:[^*]|\*[^\/])*\*\//g;
+
+  function is_trivia(tok) {
+    return tok.type === "whitespace" || tok.type === "comment";
+  }
+
+  function trivia_pieces(tok) {
+    const ret = [];
+    triviaRe.lastIndex = 0;
+    let result;
+    while ((result = triviaRe.exec(tok.value))) {
+      const value = result[0];
+      const type = value[0] === "/" ? (value[1] === "/" ? "line-comment" : "multiline-comment") : "whitespace";
+      ret.push({ type, value, start: tok.start + result.index });
+    }
+    return ret;
+  }
+
+  // The text of the documentation comment at the end of |pieces|, the trivia
+  // before a node: a /** */ comment, or // comments each on a line of their
+  // own so that trailing comments of the previous line are left out. A blank
+  // line in between separates a comment from the node.
+  function documentation(pieces, source) {
+    const lines = [];
+    for (let i = pieces.length - 1; i >= 0; i--) {
+      const piece = pieces[i];
+      if (piece.type === "whitespace") {
+        if (/\n[^]*\n/.test(piece.value)) break;
+      }
+      else if (piece.type === "line-comment") {
+        const line_start = source.lastIndexOf("\n", piece.start - 1) + 1;
+        if (source.slice(line_start, piece.start).trim()) break;
+        lines.unshift(piece.value.slice(2).replace(/^ /, ""));
+      }
+      else {
+        if (!lines.length && /^\/\*\*[^/]/.test(piece.value)) {
+          const block = piece.value.slice(3, -2).split("\n").map(line => line.replace(/^[\t ]*\* ?/, ""));
+          block[0] = block[0].replace(/^[\t ]+/, "");
+          lines.push(...block);
+        }
+        break;
+      }
+    }
+    const text = lines.map(line => line.replace(/[\t\r ]+$/, "")).join("\n");
+    return text.replace(/^\n+|\n+$/g, "");
+  }
+
+  // The tokens of |str| with their positions. Whitespace and comments are
+  // attached as |trivia| to the token after them, and the final "eof" token
+  // holds whatever trails the last one.
+  function lex(str) {
+    const locate = locator(str);
+    function token(type, value, start, extra) {
+      const { line, column } = locate(start);
+      return Object.assign({ type, value, start, end: start + value.length, line, column }, extra);
+    }
+    const ret = [];
+    let trivia = [];
+    for (const tok of tokenise(str)) {
+      if (is_trivia(tok)) {
+        for (const piece of trivia_pieces(tok)) trivia.push(token(piece.type, piece.value, piece.start));
+        continue;
+      }
+      ret.push(token(tok.type, tok.value, tok.start, { trivia }));
+      trivia = [];
+    }
+    ret.push(token("eof", "", str.length, { trivia }));
+    return ret;
+  }
+
   class WebIDLParseError {
-    constructor(str, line, input, tokens) {
+    constructor(str, line, input, tokens, sourceName, { code, expected, range, suggestion }) {
       this.message = str;
       this.line = line;
       this.input = input;
       this.tokens = tokens;
+      this.sourceName = sourceName;
+      this.code = code;
+      this.expected = expected;
+      this.range = range;
+      this.suggestion = suggestion;
     }
 
     toString() {
-      return `${this.message}, line ${this.line} (tokens: '${this.input}')\n${JSON.stringify(this.tokens, null, 4)}`;
+      const where = this.sourceName ? `${this.sourceName}, line ${this.line}` : `line ${this.line}`;
+      return `${this.message}, ${where} (tokens: '${this.input}')\n${JSON.stringify(this.tokens, null, 4)}`;
     }
   }
 
-  function parse(tokens, opt) {
+  // |doc| holds the source |text|, and when parsing several documents
+  // together, the |name| of this one and the |names| table they share.
+  function parse(tokens, opt, doc) {
     let line = 1;
-    tokens = tokens.slice();
-    const names = new Map();
+    // Index of the next token to read; |tokens| itself is never modified
+    let cursor = 0;
+    const source = doc.text;
+    const names = doc.names || new Map();
+    const errors = [];
     let current = null;
+    if (opt.profile !== undefined && opt.profile !== "legacy" && opt.profile !== "strict") {
+      throw new TypeError(`Unknown profile "${opt.profile}", expected "legacy" or "strict"`);
+    }
+    const strict = opt.profile === "strict";
 
     const FLOAT = "float";
     const INT = "integer";
@@ -111,14 +245,21 @@
       extAttrs: []
     });
 
-    function error(str) {
-      let tok = "";
-      let numTokens = 0;
+    // Errors about the tokens at |cursor| are syntax errors, which list the
+    // tokens that were expected there. Others start at the token index |at|
+    // and extend to the last token read, and may come with a |suggestion|.
+    function make_error(code, str, at, suggestion) {
       const maxTokens = 5;
-      while (numTokens < maxTokens && tokens.length > numTokens) {
-        tok += tokens[numTokens].value;
-        numTokens++;
-      }
+      const next = tokens.slice(cursor, cursor + maxTokens);
+      const tok = next.map(t => t.value).join("");
+      const syntax = at === undefined;
+      const first = syntax ? next_index() : at;
+      const start = first < tokens.length ? tokens[first].start : source.length;
+      let end = first < tokens.length ? tokens[first].end : source.length;
+      if (!syntax && last_index >= at) end = Math.max(end, last_token.end);
+      const range = { start: position(start), end: position(end) };
+      const expected = syntax ? expected_tokens(cursor, first) : [];
+      if (syntax && !suggestion) suggestion = suggest(code, expected, first, range);
 
       let message;
       if (current) {
@@ -129,29 +270,238 @@
         message = `Got an error before parsing any named definition: ${str}`;
       }
 
-      throw new WebIDLParseError(message, line, tok, tokens.slice(0, maxTokens));
+      return new WebIDLParseError(message, line, tok, next, doc.name, { code, expected, range, suggestion: suggestion || null });
+    }
+
+    function error(code, str, at, suggestion) {
+      throw make_error(code, str, at, suggestion);
+    }
+
+    // For errors after which parsing can go on as if the expected token were
+    // there, such as a missing semicolon after a definition body.
+    function soft_error(code, str, at, suggestion) {
+      if (!opt.recover) error(code, str, at, suggestion);
+      errors.push(make_error(code, str, at, suggestion));
+    }
+
+    // Legacy syntax at the token index |at| that the strict profile rejects in
+    // favor of |replacement|, which is a drop-in one if |fix| is given
+    function obsolete(code, construct, replacement, at, fix, fix_end = at) {
+      if (!strict) return;
+      const suggestion = fix && {
+        message: `Did you mean \`${fix}\`?`,
+        range: { start: position(tokens[at].start), end: position(tokens[fix_end].end) },
+        replacement: fix
+      };
+      soft_error(code, `${construct} cannot be used in the strict profile, use ${replacement} instead`, at, suggestion);
+    }
+
+    // The tokens the parser looked for without finding them, by index, for
+    // syntax errors. The parser never goes back before a definition or member
+    // it has parsed, so they are forgotten after each.
+    const expectations = new Map();
+
+    function expect_token(type, value) {
+      let list = expectations.get(cursor);
+      if (!list) expectations.set(cursor, list = []);
+      list.push(type, value);
+    }
+
+    function expected_tokens(...indices) {
+      const ret = [];
+      const seen = new Set();
+      for (const index of new Set(indices)) {
+        const list = expectations.get(index) || [];
+        for (let i = 0; i < list.length; i += 2) {
+          const [type, value] = [list[i], list[i + 1]];
+          const key = `${type} ${value}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          ret.push(value === undefined ? { type } : { type, value });
+        }
+      }
+      return ret;
+    }
+
+    // Fix-its for syntax errors: a misspelled keyword where one was expected,
+    // or a missing semicolon. A misspelled keyword earlier in the definition
+    // or member can also be read as a name, making the error come later.
+    function suggest(code, expected, index, range) {
+      const keywords = list => list.filter(it => it.type === ID && it.value).map(it => it.value);
+      const fix = (best, tok) => best && {
+        message: `Did you mean \`${best}\`?`,
+        range: tok ? { start: position(tok.start), end: position(tok.end) } : range,
+        replacement: best
+      };
+      const tok = tokens[index];
+      if (tok && tok.type === ID) {
+        const ret = fix(closest(tok.value, keywords(expected)));
+        if (ret) return ret;
+      }
+      for (let i = attempt_start; i < index; i++) {
+        if (tokens[i].type !== ID || !expectations.has(i)) continue;
+        const ret = fix(closest(tokens[i].value, keywords(expected_tokens(i)), 1), tokens[i]);
+        if (ret) return ret;
+      }
+      if (code.startsWith("no-semicolon-") && last_token) {
+        const end = position(last_token.end);
+        return { message: "Did you mean to end it with `;`?", range: { start: end, end }, replacement: ";" };
+      }
+    }
+
+    // In recover mode, records an error thrown by |fn| and calls |skip| to
+    // move to the next point where parsing can resume.
+    let attempt_start = 0;
+
+    function attempt(fn, skip) {
+      const outer = attempt_start;
+      attempt_start = next_index();
+      try {
+        const ret = fn();
+        if (ret) expectations.clear();
+        return ret;
+      } catch (e) {
+        if (!opt.recover || !(e instanceof WebIDLParseError)) throw e;
+        errors.push(e);
+        skip();
+        expectations.clear();
+      } finally {
+        attempt_start = outer;
+      }
+    }
+
+    // In recover mode, a body left open at the end of the input is closed
+    // implicitly so that the members parsed so far are kept.
+    function unterminated(def) {
+      if (!opt.recover || !done()) return false;
+      soft_error("unterminated-body", `Unterminated ${def.type}`);
+      return true;
     }
 
     function sanitize_name(name, type) {
-      if (names.has(name)) {
-        error(`The name "${name}" of type "${names.get(name)}" is already seen`);
+      const seen = names.get(name);
+      if (seen) {
+        const where = seen.sourceName && seen.sourceName !== doc.name ? ` in ${seen.sourceName}` : "";
+        error("duplicate-name", `The name "${name}" of type "${seen.type}" is already seen${where}`, last_index);
       }
-      names.set(name, type);
+      names.set(name, { type, sourceName: doc.name });
       return name;
     }
 
     let last_token = null;
+    let last_index = -1;
+
+    function done() {
+      return cursor >= tokens.length;
+    }
+
+    function peek(type, value) {
+      const tok = tokens[cursor];
+      if (tok && tok.type === type && (typeof value === "undefined" || tok.value === value)) return true;
+      if (type !== "whitespace" && type !== "comment") expect_token(type, value);
+      return false;
+    }
+
+    // The index of the next token that is not whitespace or a comment
+    function next_index() {
+      let i = cursor;
+      while (i < tokens.length && is_trivia(tokens[i])) i++;
+      return i;
+    }
+
+    // Save and restore points for backtracking after a failed lookahead
+    function mark() {
+      return { cursor, line };
+    }
 
+    function rewind(point) {
+      for (let i = point.cursor; i < cursor; i++) owners[i] = undefined;
+      cursor = point.cursor;
+      line = point.line;
+    }
+
+    // Identifiers starting with an underscore name the same thing without it,
+    // which allows using keywords as names.
     function consume(type, value) {
-      if (!tokens.length || tokens[0].type !== type) return;
-      if (typeof value === "undefined" || tokens[0].value === value) {
-        last_token = tokens.shift();
+      if (peek(type, value)) {
+        last_index = cursor;
+        last_token = tokens[cursor++];
         if (type === ID && last_token.value.startsWith('_'))
-          last_token.value = last_token.value.substring(1);
+          return Object.assign({}, last_token, { value: last_token.value.substring(1) });
         return last_token;
       }
     }
 
+    // Computed on first use, as it walks the whole source
+    let locate = null;
+
+    function position(offset) {
+      if (!locate) locate = locator(source);
+      return locate(offset);
+    }
+
+    // The index of the token a node starting here would begin with, skipping
+    // whitespace
+    function start_token() {
+      const i = next_index();
+      if (i < tokens.length) return i;
+    }
+
+    // In lossless mode, the node owning each token: the innermost one whose
+    // range includes it. Nodes are located after their children, so the
+    // tokens still unclaimed in a node's range are its own.
+    const owners = [];
+    const owned = new Map();
+
+    function claim(node, start) {
+      if (!owned.has(node)) owned.set(node, []);
+      const own = owned.get(node);
+      for (let i = start; i < cursor; i++) {
+        if (owners[i] || is_trivia(tokens[i])) continue;
+        owners[i] = node;
+        own.push(i);
+      }
+    }
+
+    function located(node, start) {
+      if (start === undefined || !node) return node;
+      if (opt.lossless) claim(node, start);
+      if (!opt.sourceLocations) return node;
+      node.location = {
+        start: position(tokens[start].start),
+        end: position(last_token.end)
+      };
+      return node;
+    }
+
+    // The whitespace and comments between the previous token and |index|
+    function leading_trivia(index) {
+      let ret = "";
+      for (let i = index - 1; i >= 0 && is_trivia(tokens[i]); i--) ret = tokens[i].value + ret;
+      return ret;
+    }
+
+    // Gives each located node the list of its own tokens as written in the
+    // source, with the trivia before them, and adds an `eof` node holding the
+    // trivia at the end of the source.
+    function attach_tokens(defs) {
+      for (const [node, own] of owned) {
+        if (owners[own[0]] !== node) continue;
+        node.tokens = own.sort((a, b) => a - b).map(i => ({ value: tokens[i].value, trivia: leading_trivia(i) }));
+      }
+      defs.push({ type: "eof", tokens: [{ value: "", trivia: leading_trivia(tokens.length) }] });
+    }
+
+    function documented(node, start) {
+      if (!opt.documentation || start === undefined) return node;
+      let first = start;
+      while (first > 0 && is_trivia(tokens[first - 1])) first--;
+      const pieces = [].concat(...tokens.slice(first, start).map(trivia_pieces));
+      const text = documentation(pieces, source);
+      if (text) node.documentation = text;
+      return node;
+    }
+
     function count(str, char) {
       let total = 0;
       for (let i = str.indexOf(char); i !== -1; i = str.indexOf(char, i + 1)) {
@@ -161,14 +511,44 @@
     }
 
     function ws() {
-      if (!tokens.length) return;
-      if (tokens[0].type === "whitespace" || tokens[0].type === "comment") {
-        const t = tokens.shift();
+      if (peek("whitespace") || peek("comment")) {
+        const t = tokens[cursor++];
         line += count(t.value, '\n');
         return t;
       }
     }
 
+    // Skips tokens up to and including the next `;` outside of brackets. A `}`
+    // closing the enclosing body ends a member, and is left for the body to
+    // consume; for a definition it is consumed along with an optional `;`.
+    function skip_to_sync(member) {
+      let depth = 0;
+      while (!done()) {
+        if (ws()) continue;
+        const tok = tokens[cursor];
+        if (tok.type === OTHER && tok.value === "}" && depth === 0) {
+          if (member) return;
+          cursor++;
+          all_ws();
+          consume(OTHER, ";");
+          return;
+        }
+        cursor++;
+        if (tok.type !== OTHER) continue;
+        if ("([{".includes(tok.value)) depth++;
+        else if (")]}".includes(tok.value)) depth = Math.max(depth - 1, 0);
+        else if (tok.value === ";" && depth === 0) return;
+      }
+    }
+
+    function skip_member() {
+      skip_to_sync(true);
+    }
+
+    function skip_definition() {
+      skip_to_sync(false);
+    }
+
     const all_ws_re = {
       "ws": /([\t\n\r ]+)/y,
       "line-comment": /\/\/(.*)\r?\n?/y,
@@ -221,7 +601,7 @@
         if (consume(ID, "long")) return ret + " long";
         return ret;
       }
-      if (ret) error("Failed to parse integer type");
+      if (ret) error("invalid-integer-type", "Failed to parse integer type");
     }
 
     function float_type() {
@@ -231,7 +611,7 @@
       all_ws();
       if (consume(ID, "float")) return ret + "float";
       if (consume(ID, "double")) return ret + "double";
-      if (ret) error("Failed to parse float type");
+      if (ret) error("invalid-float-type", "Failed to parse float type");
     }
 
     function primitive_type() {
@@ -241,6 +621,7 @@
       if (consume(ID, "boolean")) return "boolean";
       if (consume(ID, "byte")) return "byte";
       if (consume(ID, "octet")) return "octet";
+      if (consume(ID, "bigint")) return "bigint";
     }
 
     function const_value() {
@@ -251,10 +632,10 @@
       if (consume(ID, "NaN")) return { type: "NaN" };
       const ret = consume(FLOAT) || consume(INT);
       if (ret) return { type: "number", value: ret.value };
-      const tok = consume(OTHER, "-");
-      if (tok) {
+      const start = mark();
+      if (consume(OTHER, "-")) {
         if (consume(ID, "Infinity")) return { type: "Infinity", negative: true };
-        else tokens.unshift(tok);
+        else rewind(start);
       }
     }
 
@@ -262,13 +643,14 @@
       while (true) {
         all_ws();
         if (consume(OTHER, "?")) {
-          if (obj.nullable) error("Can't nullable more than once");
+          if (obj.nullable) error("double-nullable", "Can't nullable more than once", last_index);
           obj.nullable = true;
         } else return;
       }
     }
 
     function single_type(typeName) {
+      const start = start_token();
       const prim = primitive_type();
       const ret = Object.assign({ type: typeName || null }, EMPTY_IDLTYPE);
       let name;
@@ -277,6 +659,7 @@
         ret.idlType = prim;
       } else if (name = consume(ID)) {
         value = name.value;
+        if (value === "void") obsolete("legacy-void", "The `void` type", "`undefined`", last_index, "undefined");
         all_ws();
         // Generic types
         if (consume(OTHER, "<")) {
@@ -288,26 +671,35 @@
           const types = [];
           do {
             all_ws();
-            types.push(type_with_extended_attributes(typeName) || error("Error parsing generic type " + value));
+            types.push(type_with_extended_attributes(typeName) || error("no-generic-subtype", "Error parsing generic type " + value));
             all_ws();
           }
           while (consume(OTHER, ","));
+          // Subtypes share the type name of the generic type
+          if (types.some(it => it.generic === "ObservableArray")) {
+            error("observablearray-placement", "ObservableArray can only be used as the type of an attribute", start);
+          }
           if (value === "sequence") {
-            if (types.length !== 1) error("A sequence must have exactly one subtype");
+            if (types.length !== 1) error("sequence-subtype-count", "A sequence must have exactly one subtype", start);
           } else if (value === "record") {
-            if (types.length !== 2) error("A record must have exactly two subtypes");
+            if (types.length !== 2) error("record-subtype-count", "A record must have exactly two subtypes", start);
             if (!/^(DOMString|USVString|ByteString)$/.test(types[0].idlType)) {
-              error("Record key must be DOMString, USVString, or ByteString");
+              error("record-key-type", "Record key must be DOMString, USVString, or ByteString", start);
             }
-            if (types[0].extAttrs.length) error("Record key cannot have extended attribute");
+            if (types[0].extAttrs.length) error("record-key-extended-attribute", "Record key cannot have extended attribute", start);
           } else if (value === "Promise") {
-            if (types[0].extAttrs.length) error("Promise type cannot have extended attribute");
+            if (types[0].extAttrs.length) error("promise-extended-attribute", "Promise type cannot have extended attribute", start);
+          } else if (value === "ObservableArray") {
+            if (types.length !== 1) error("observablearray-subtype-count", "An ObservableArray must have exactly one subtype", start);
+            if (typeName !== "attribute-type") {
+              error("observablearray-placement", "ObservableArray can only be used as the type of an attribute", start);
+            }
           }
           ret.idlType = types.length === 1 ? types[0] : types;
           all_ws();
-          if (!consume(OTHER, ">")) error("Unterminated generic type " + value);
+          if (!consume(OTHER, ">")) error("unterminated-generic", "Unterminated generic type " + value);
           type_suffix(ret);
-          return ret;
+          return located(ret, start);
         } else {
           ret.idlType = value;
         }
@@ -315,71 +707,75 @@
         return;
       }
       type_suffix(ret);
-      if (ret.nullable && ret.idlType === "any") error("Type any cannot be made nullable");
-      return ret;
+      if (ret.nullable && ret.idlType === "any") error("nullable-any", "Type any cannot be made nullable", start);
+      return located(ret, start);
     }
 
     function union_type(typeName) {
       all_ws();
+      const start = start_token();
       if (!consume(OTHER, "(")) return;
       const ret = Object.assign({ type: typeName || null }, EMPTY_IDLTYPE, { union: true, idlType: [] });
-      const fst = type_with_extended_attributes() || error("Union type with no content");
+      const fst = type_with_extended_attributes() || error("empty-union", "Union type with no content");
       ret.idlType.push(fst);
       while (true) {
         all_ws();
         if (!consume(ID, "or")) break;
-        const typ = type_with_extended_attributes() || error("No type after 'or' in union type");
+        const typ = type_with_extended_attributes() || error("no-union-member-type", "No type after 'or' in union type");
         ret.idlType.push(typ);
       }
-      if (!consume(OTHER, ")")) error("Unterminated union type");
+      if (!consume(OTHER, ")")) error("unterminated-union", "Unterminated union type");
       type_suffix(ret);
-      return ret;
+      return located(ret, start);
     }
 
     function type(typeName) {
       return single_type(typeName) || union_type(typeName);
     }
 
+    // Whether |typ| is undefined or a union including it, which arguments
+    // and dictionary members cannot be
+    function is_undefined(typ) {
+      if (typ.union) return typ.idlType.some(is_undefined);
+      return typ.idlType === "undefined";
+    }
+
     function type_with_extended_attributes(typeName) {
+      const start = start_token();
       const extAttrs = extended_attrs();
       const ret = single_type(typeName) || union_type(typeName);
       if (extAttrs.length && ret) ret.extAttrs = extAttrs;
-      return ret;
+      return located(ret, start);
     }
 
     function argument(store) {
+      const start = start_token();
       const ret = { optional: false, variadic: false };
       ret.extAttrs = extended_attrs(store);
       all_ws(store, "pea");
-      const opt_token = consume(ID, "optional");
-      if (opt_token) {
+      const rollback = mark();
+      if (consume(ID, "optional")) {
         ret.optional = true;
         all_ws();
       }
       ret.idlType = type_with_extended_attributes("argument-type");
       if (!ret.idlType) {
-        if (opt_token) tokens.unshift(opt_token);
+        rewind(rollback);
         return;
       }
-      const type_token = last_token;
+      if (is_undefined(ret.idlType)) error("undefined-argument", "Arguments cannot be of type undefined", start);
       if (!ret.optional) {
         all_ws();
-        if (tokens.length >= 3 &&
-          tokens[0].type === "other" && tokens[0].value === "." &&
-          tokens[1].type === "other" && tokens[1].value === "." &&
-          tokens[2].type === "other" && tokens[2].value === "."
-        ) {
-          tokens.shift();
-          tokens.shift();
-          tokens.shift();
+        const dots = mark();
+        if (consume(OTHER, ".") && consume(OTHER, ".") && consume(OTHER, ".")) {
           ret.variadic = true;
         }
+        else rewind(dots);
       }
       all_ws();
       const name = consume(ID);
       if (!name) {
-        if (opt_token) tokens.unshift(opt_token);
-        tokens.unshift(type_token);
+        rewind(rollback);
         return;
       }
       ret.name = name.value;
@@ -390,7 +786,7 @@
           ret["default"] = dflt;
         }
       }
-      return ret;
+      return located(documented(ret, start), start);
     }
 
     function argument_list(store) {
@@ -401,15 +797,17 @@
       while (true) {
         all_ws(store ? ret : null);
         if (!consume(OTHER, ",")) return ret;
-        const nxt = argument(store ? ret : null) || error("Trailing comma in arguments list");
+        const nxt = argument(store ? ret : null) || error("trailing-comma-in-arguments", "Trailing comma in arguments list");
         ret.push(nxt);
       }
     }
 
     function simple_extended_attr(store) {
       all_ws();
+      const start = start_token();
       const name = consume(ID);
       if (!name) return;
+      const name_index = last_index;
       const ret = {
         name: name.value,
         "arguments": null,
@@ -420,25 +818,36 @@
       const eq = consume(OTHER, "=");
       if (eq) {
         all_ws();
-        ret.rhs = consume(ID) ||
+        const rhs = consume(ID) ||
           consume(FLOAT) ||
           consume(INT) ||
           consume(STR);
-        if (!ret.rhs && consume(OTHER, "(")) {
+        if (rhs) {
+          ret.rhs = { type: rhs.type, value: rhs.value };
+        } else if (consume(OTHER, "(")) {
           // [Exposed=(Window,Worker)]
           const rhs_list = [];
+          all_ws();
           const id = consume(ID);
           if (id) {
             rhs_list.push(id.value);
           }
           identifiers(rhs_list);
-          consume(OTHER, ")") || error("Unexpected token in extended attribute argument list or type pair");
+          all_ws();
+          consume(OTHER, ")") || error("unterminated-identifier-list", "Unexpected token in extended attribute argument list or type pair");
           ret.rhs = {
             type: "identifier-list",
             value: rhs_list
           };
         }
-        if (!ret.rhs) return error("No right hand side to extended attribute assignment");
+        if (!ret.rhs) return error("no-extended-attribute-value", "No right hand side to extended attribute assignment");
+      }
+      if (legacyExtendedAttributes.has(name.value)) {
+        const fix = legacyExtendedAttributes.get(name.value);
+        const replacement = fix ? `\`[${fix}]\`` : "a `constructor()` operation";
+        // [TreatNullAs=EmptyString] becomes [LegacyNullToEmptyString]
+        const fix_end = name.value === "TreatNullAs" ? last_index : name_index;
+        obsolete("legacy-extended-attribute", `The \`[${name.value}]\` extended attribute`, replacement, name_index, fix, fix_end);
       }
       all_ws();
       if (consume(OTHER, "(")) {
@@ -452,9 +861,9 @@
           ret["arguments"] = [];
         }
         all_ws();
-        consume(OTHER, ")") || error("Unexpected token in extended attribute argument list");
+        consume(OTHER, ")") || error("unterminated-extended-attribute-arguments", "Unexpected token in extended attribute argument list");
       }
-      return ret;
+      return located(ret, start);
     }
 
     // Note: we parse something simpler than the official syntax. It's all that ever
@@ -463,13 +872,13 @@
       const eas = [];
       all_ws(store);
       if (!consume(OTHER, "[")) return eas;
-      eas[0] = simple_extended_attr(store) || error("Extended attribute with not content");
+      eas[0] = simple_extended_attr(store) || error("empty-extended-attribute", "Extended attribute with not content");
       all_ws();
       while (consume(OTHER, ",")) {
-        eas.push(simple_extended_attr(store) || error("Trailing comma in extended attribute"));
+        eas.push(simple_extended_attr(store) || error("trailing-comma-in-extended-attributes", "Trailing comma in extended attribute"));
       }
       all_ws();
-      consume(OTHER, "]") || error("No end of extended attribute");
+      consume(OTHER, "]") || error("unterminated-extended-attributes", "No end of extended attribute");
       return eas;
     }
 
@@ -477,16 +886,21 @@
       all_ws();
       if (consume(OTHER, "=")) {
         all_ws();
+        const start = start_token();
         const def = const_value();
         if (def) {
-          return def;
+          return located(def, start);
         } else if (consume(OTHER, "[")) {
-          if (!consume(OTHER, "]")) error("Default sequence value must be empty");
-          return { type: "sequence", value: [] };
+          all_ws();
+          if (!consume(OTHER, "]")) error("non-empty-default-sequence", "Default sequence value must be empty");
+          return located({ type: "sequence", value: [] }, start);
+        } else if (consume(OTHER, "{")) {
+          all_ws();
+          if (!consume(OTHER, "}")) error("non-empty-default-dictionary", "Default dictionary value must be empty");
+          return located({ type: "dictionary", value: {} }, start);
         } else {
-          const str = consume(STR) || error("No value for default");
-          str.value = str.value.slice(1, -1);
-          return str;
+          const str = consume(STR) || error("no-default-value", "No value for default");
+          return located({ type: "string", value: str.value.slice(1, -1) }, start);
         }
       }
     }
@@ -496,27 +910,29 @@
       if (!consume(ID, "const")) return;
       const ret = { type: "const", nullable: false };
       all_ws();
+      const type_start = start_token();
       let typ = primitive_type();
       if (!typ) {
-        typ = consume(ID) || error("No type for const");
+        typ = consume(ID) || error("no-const-type", "No type for const");
         typ = typ.value;
       }
-      ret.idlType = Object.assign({ type: "const-type" }, EMPTY_IDLTYPE, { idlType: typ });
+      ret.idlType = located(Object.assign({ type: "const-type" }, EMPTY_IDLTYPE, { idlType: typ }), type_start);
       all_ws();
       if (consume(OTHER, "?")) {
         ret.nullable = true;
         all_ws();
       }
-      const name = consume(ID) || error("No name for const");
+      const name = consume(ID) || error("no-const-name", "No name for const");
       ret.name = name.value;
       all_ws();
-      consume(OTHER, "=") || error("No value assignment for const");
+      consume(OTHER, "=") || error("no-const-assignment", "No value assignment for const");
       all_ws();
+      const value_start = start_token();
       const cnt = const_value();
-      if (cnt) ret.value = cnt;
-      else error("No value for const");
+      if (cnt) ret.value = located(cnt, value_start);
+      else error("no-const-value", "No value for const");
       all_ws();
-      consume(OTHER, ";") || error("Unterminated const");
+      consume(OTHER, ";") || error("no-semicolon-after-const", "Unterminated const");
       return ret;
     }
 
@@ -524,7 +940,7 @@
       all_ws();
       if (consume(OTHER, ":")) {
         all_ws();
-        const inh = consume(ID) || error("No type in inheritance");
+        const inh = consume(ID) || error("no-inheritance-name", "No type in inheritance");
         return inh.value;
       }
     }
@@ -535,12 +951,12 @@
       const name = consume(ID);
       ret.name = name ? name.value : null;
       all_ws();
-      consume(OTHER, "(") || error("Invalid operation");
+      consume(OTHER, "(") || error("no-operation-arguments", "Invalid operation");
       ret["arguments"] = argument_list(store) || [];
       all_ws();
-      consume(OTHER, ")") || error("Unterminated operation");
+      consume(OTHER, ")") || error("unterminated-operation-arguments", "Unterminated operation");
       all_ws();
-      consume(OTHER, ";") || error("Unterminated operation");
+      consume(OTHER, ";") || error("no-semicolon-after-operation", "Unterminated operation");
       return ret;
     }
 
@@ -554,25 +970,25 @@
         ret = interface_rest(false, store, "callback interface");
         return ret;
       }
-      const name = consume(ID) || error("No name for callback");
+      const name = consume(ID) || error("no-callback-name", "No name for callback");
       ret = current = { type: "callback", name: sanitize_name(name.value, "callback") };
       all_ws();
-      consume(OTHER, "=") || error("No assignment in callback");
+      consume(OTHER, "=") || error("no-callback-assignment", "No assignment in callback");
       all_ws();
       ret.idlType = return_type();
       all_ws();
-      consume(OTHER, "(") || error("No arguments in callback");
+      consume(OTHER, "(") || error("no-callback-arguments", "No arguments in callback");
       ret["arguments"] = argument_list(store) || [];
       all_ws();
-      consume(OTHER, ")") || error("Unterminated callback");
+      consume(OTHER, ")") || error("unterminated-callback-arguments", "Unterminated callback");
       all_ws();
-      consume(OTHER, ";") || error("Unterminated callback");
+      consume(OTHER, ";") || error("no-semicolon-after-callback", "Unterminated callback");
       return ret;
     }
 
     function attribute(store) {
       all_ws(store, "pea");
-      const grabbed = [];
+      const rollback = mark();
       const ret = {
         type: "attribute",
         static: false,
@@ -580,25 +996,18 @@
         inherit: false,
         readonly: false
       };
-      const w = all_ws();
-      if (w) grabbed.push(w);
+      all_ws();
       if (consume(ID, "inherit")) {
-        if (ret.static || ret.stringifier) error("Cannot have a static or stringifier inherit");
+        if (ret.static || ret.stringifier) error("invalid-inherit-modifier", "Cannot have a static or stringifier inherit", last_index);
         ret.inherit = true;
-        grabbed.push(last_token);
-        const w = all_ws();
-        if (w) grabbed.push(w);
+        all_ws();
       }
       if (consume(ID, "readonly")) {
         ret.readonly = true;
-        grabbed.push(last_token);
-        const w = all_ws();
-        if (w) grabbed.push(w);
+        all_ws();
       }
       const rest = attribute_rest(ret);
-      if (!rest) {
-        tokens = grabbed.concat(tokens);
-      }
+      if (!rest) rewind(rollback);
       return rest;
     }
 
@@ -607,25 +1016,21 @@
         return;
       }
       all_ws();
-      ret.idlType = type_with_extended_attributes("attribute-type") || error("No type in attribute");
-      if (ret.idlType.sequence) error("Attributes cannot accept sequence types");
-      if (ret.idlType.generic === "record") error("Attributes cannot accept record types");
+      const start = start_token();
+      ret.idlType = type_with_extended_attributes("attribute-type") || error("no-attribute-type", "No type in attribute");
+      if (ret.idlType.sequence) error("sequence-attribute", "Attributes cannot accept sequence types", start);
+      if (ret.idlType.generic === "record") error("record-attribute", "Attributes cannot accept record types", start);
       all_ws();
-      const name = consume(ID) || error("No name in attribute");
+      const name = consume(ID) || error("no-attribute-name", "No name in attribute");
       ret.name = name.value;
       all_ws();
-      consume(OTHER, ";") || error("Unterminated attribute");
+      consume(OTHER, ";") || error("no-semicolon-after-attribute", "Unterminated attribute");
       return ret;
     }
 
+    // Both `undefined` and the older `void` are read as type names
     function return_type() {
-      const typ = type("return-type");
-      if (!typ) {
-        if (consume(ID, "void")) {
-          return "void";
-        } else error("No return type");
-      }
-      return typ;
+      return type("return-type") || error("no-return-type", "No return type");
     }
 
     function operation(store) {
@@ -650,13 +1055,28 @@
       return ret;
     }
 
+    function constructor_(store) {
+      all_ws(store, "pea");
+      if (!consume(ID, "constructor")) return;
+      if (current.type !== "interface") error("constructor-placement", `Constructors are not allowed in ${current.type}s`, last_index);
+      const ret = { type: "constructor" };
+      all_ws();
+      consume(OTHER, "(") || error("no-constructor-arguments", "No argument list in constructor");
+      ret["arguments"] = argument_list(store) || [];
+      all_ws();
+      consume(OTHER, ")") || error("unterminated-constructor-arguments", "Unterminated constructor");
+      all_ws();
+      consume(OTHER, ";") || error("no-semicolon-after-constructor", "No semicolon after constructor");
+      return ret;
+    }
+
     function static_member(store) {
       all_ws(store, "pea");
       if (!consume(ID, "static")) return;
       all_ws();
       return noninherited_attribute(store, "static") ||
         regular_operation(store, "static") ||
-        error("No body in static member");
+        error("no-static-member", "No body in static member");
     }
 
     function stringifier(store) {
@@ -668,7 +1088,7 @@
       }
       return noninherited_attribute(store, "stringifier") ||
         regular_operation(store, "stringifier") ||
-        error("Unterminated stringifier");
+        error("invalid-stringifier", "Unterminated stringifier");
     }
 
     function identifiers(arr) {
@@ -676,7 +1096,7 @@
         all_ws();
         if (consume(OTHER, ",")) {
           all_ws();
-          const name = consume(ID) || error("Trailing comma in identifiers list");
+          const name = consume(ID) || error("trailing-comma-in-identifiers", "Trailing comma in identifiers list");
           arr.push(name.value);
         } else break;
       }
@@ -684,7 +1104,10 @@
 
     function iterable_type() {
       if (consume(ID, "iterable")) return "iterable";
-      else if (consume(ID, "legacyiterable")) return "legacyiterable";
+      else if (consume(ID, "legacyiterable")) {
+        obsolete("legacy-iterable", "`legacyiterable` declarations", "`iterable`", last_index, "iterable");
+        return "legacyiterable";
+      }
       else if (consume(ID, "maplike")) return "maplike";
       else if (consume(ID, "setlike")) return "setlike";
       else return;
@@ -698,30 +1121,34 @@
 
     function iterable(store) {
       all_ws(store, "pea");
-      const grabbed = [];
+      const rollback = mark();
       const ret = { type: null, idlType: null, readonly: false };
-      if (consume(ID, "readonly")) {
-        ret.readonly = true;
-        grabbed.push(last_token);
-        var w = all_ws();
-        if (w) grabbed.push(w);
+      let ittype;
+      if (consume(ID, "async")) {
+        all_ws();
+        if (!consume(ID, "iterable")) error("async-non-iterable", "Only iterable declarations can be async");
+        ittype = "async iterable";
+      } else {
+        if (consume(ID, "readonly")) {
+          ret.readonly = true;
+          all_ws();
+        }
+        const consumeItType = ret.readonly ? readonly_iterable_type : iterable_type;
+        ittype = consumeItType();
       }
-      const consumeItType = ret.readonly ? readonly_iterable_type : iterable_type;
-
-      const ittype = consumeItType();
       if (!ittype) {
-        tokens = grabbed.concat(tokens);
+        rewind(rollback);
         return;
       }
 
       const secondTypeRequired = ittype === "maplike";
-      const secondTypeAllowed = secondTypeRequired || ittype === "iterable";
+      const secondTypeAllowed = secondTypeRequired || ittype === "iterable" || ittype === "async iterable";
       ret.type = ittype;
       if (ret.type !== 'maplike' && ret.type !== 'setlike')
         delete ret.readonly;
       all_ws();
       if (consume(OTHER, "<")) {
-        ret.idlType = [type_with_extended_attributes()] || error(`Error parsing ${ittype} declaration`);
+        ret.idlType = [type_with_extended_attributes()] || error("invalid-declaration", `Error parsing ${ittype} declaration`);
         all_ws();
         if (secondTypeAllowed) {
           if (consume(OTHER, ",")) {
@@ -730,20 +1157,29 @@
             all_ws();
           }
           else if (secondTypeRequired)
-            error(`Missing second type argument in ${ittype} declaration`);
+            error("declaration-subtype-count", `Missing second type argument in ${ittype} declaration`);
         }
-        if (!consume(OTHER, ">")) error(`Unterminated ${ittype} declaration`);
+        if (!consume(OTHER, ">")) error("unterminated-declaration", `Unterminated ${ittype} declaration`);
         all_ws();
-        if (!consume(OTHER, ";")) error(`Missing semicolon after ${ittype} declaration`);
+        if (ittype === "async iterable") {
+          ret["arguments"] = null;
+          if (consume(OTHER, "(")) {
+            ret["arguments"] = argument_list(store) || [];
+            all_ws();
+            if (!consume(OTHER, ")")) error("unterminated-declaration-arguments", `Unterminated arguments of ${ittype} declaration`);
+            all_ws();
+          }
+        }
+        if (!consume(OTHER, ";")) error("no-semicolon-after-declaration", `Missing semicolon after ${ittype} declaration`);
       } else
-        error(`Error parsing ${ittype} declaration`);
+        error("invalid-declaration", `Error parsing ${ittype} declaration`);
 
       return ret;
     }
 
     function interface_rest(isPartial, store, typeName = "interface") {
       all_ws();
-      const name = consume(ID) || error("No name for interface");
+      const name = consume(ID) || error("no-interface-name", "No name for interface");
       const mems = [];
       const ret = current = {
         type: typeName,
@@ -753,31 +1189,32 @@
       };
       if (!isPartial) ret.inheritance = inheritance() || null;
       all_ws();
-      consume(OTHER, "{") || error("Bodyless interface");
+      consume(OTHER, "{") || error("no-interface-body", "Bodyless interface");
       while (true) {
         all_ws(store ? mems : null);
+        if (unterminated(ret)) return ret;
         if (consume(OTHER, "}")) {
           all_ws();
-          consume(OTHER, ";") || error("Missing semicolon after interface");
+          consume(OTHER, ";") || soft_error("no-semicolon-after-interface", "Missing semicolon after interface");
           return ret;
         }
-        const ea = extended_attrs(store ? mems : null);
-        all_ws();
-        const cnt = const_(store ? mems : null);
-        if (cnt) {
-          cnt.extAttrs = ea;
-          ret.members.push(cnt);
-          continue;
-        }
-        const mem = (opt.allowNestedTypedefs && typedef(store ? mems : null)) ||
-          static_member(store ? mems : null) ||
-          stringifier(store ? mems : null) ||
-          iterable(store ? mems : null) ||
-          attribute(store ? mems : null) ||
-          operation(store ? mems : null) ||
-          error("Unknown member");
-        mem.extAttrs = ea;
-        ret.members.push(mem);
+        const mem = attempt(() => {
+          const start = start_token();
+          const ea = extended_attrs(store ? mems : null);
+          all_ws();
+          const mem = const_(store ? mems : null) ||
+            (opt.allowNestedTypedefs && nested_typedef(store ? mems : null)) ||
+            constructor_(store ? mems : null) ||
+            static_member(store ? mems : null) ||
+            stringifier(store ? mems : null) ||
+            iterable(store ? mems : null) ||
+            attribute(store ? mems : null) ||
+            operation(store ? mems : null) ||
+            error("unknown-member", "Unknown member");
+          mem.extAttrs = ea;
+          return located(documented(mem, start), start);
+        }, skip_member);
+        if (mem) ret.members.push(mem);
       }
     }
 
@@ -785,7 +1222,7 @@
       all_ws();
       if (!consume(ID, "mixin")) return;
       all_ws();
-      const name = consume(ID) || error("No name for interface mixin");
+      const name = consume(ID) || error("no-mixin-name", "No name for interface mixin");
       const mems = [];
       const ret = current = {
         type: "interface mixin",
@@ -794,28 +1231,29 @@
         members: mems
       };
       all_ws();
-      consume(OTHER, "{") || error("Bodyless interface mixin");
+      consume(OTHER, "{") || error("no-mixin-body", "Bodyless interface mixin");
       while (true) {
         all_ws(store ? mems : null);
+        if (unterminated(ret)) return ret;
         if (consume(OTHER, "}")) {
           all_ws();
-          consume(OTHER, ";") || error("Missing semicolon after interface mixin");
+          consume(OTHER, ";") || soft_error("no-semicolon-after-mixin", "Missing semicolon after interface mixin");
           return ret;
         }
-        const ea = extended_attrs(store ? mems : null);
-        all_ws();
-        const cnt = const_(store ? mems : null);
-        if (cnt) {
-          cnt.extAttrs = ea;
-          ret.members.push(cnt);
-          continue;
-        }
-        const mem = stringifier(store ? mems : null) ||
-          noninherited_attribute(store ? mems : null) ||
-          regular_operation(store ? mems : null) ||
-          error("Unknown member");
-        mem.extAttrs = ea;
-        ret.members.push(mem);
+        const mem = attempt(() => {
+          const start = start_token();
+          const ea = extended_attrs(store ? mems : null);
+          all_ws();
+          const mem = const_(store ? mems : null) ||
+            constructor_(store ? mems : null) ||
+            stringifier(store ? mems : null) ||
+            noninherited_attribute(store ? mems : null) ||
+            regular_operation(store ? mems : null) ||
+            error("unknown-member", "Unknown member");
+          mem.extAttrs = ea;
+          return located(documented(mem, start), start);
+        }, skip_member);
+        if (mem) ret.members.push(mem);
       }
     }
 
@@ -824,14 +1262,14 @@
       if (!consume(ID, "interface")) return;
       return mixin_rest(isPartial, store) ||
         interface_rest(isPartial, store) ||
-        error("Interface has no proper body");
+        error("no-interface-body", "Interface has no proper body");
     }
 
     function namespace(isPartial, store) {
       all_ws(isPartial ? null : store, "pea");
       if (!consume(ID, "namespace")) return;
       all_ws();
-      const name = consume(ID) || error("No name for namespace");
+      const name = consume(ID) || error("no-namespace-name", "No name for namespace");
       const mems = [];
       const ret = current = {
         type: "namespace",
@@ -840,27 +1278,33 @@
         members: mems
       };
       all_ws();
-      consume(OTHER, "{") || error("Bodyless namespace");
+      consume(OTHER, "{") || error("no-namespace-body", "Bodyless namespace");
       while (true) {
         all_ws(store ? mems : null);
+        if (unterminated(ret)) return ret;
         if (consume(OTHER, "}")) {
           all_ws();
-          consume(OTHER, ";") || error("Missing semicolon after namespace");
+          consume(OTHER, ";") || soft_error("no-semicolon-after-namespace", "Missing semicolon after namespace");
           return ret;
         }
-        const ea = extended_attrs(store ? mems : null);
-        all_ws();
-        const mem = noninherited_attribute(store ? mems : null) ||
-          regular_operation(store ? mems : null) ||
-          error("Unknown member");
-        mem.extAttrs = ea;
-        ret.members.push(mem);
+        const mem = attempt(() => {
+          const start = start_token();
+          const ea = extended_attrs(store ? mems : null);
+          all_ws();
+          const mem = constructor_(store ? mems : null) ||
+            noninherited_attribute(store ? mems : null) ||
+            regular_operation(store ? mems : null) ||
+            error("unknown-member", "Unknown member");
+          mem.extAttrs = ea;
+          return located(documented(mem, start), start);
+        }, skip_member);
+        if (mem) ret.members.push(mem);
       }
     }
 
     function noninherited_attribute(store, prefix) {
-      const w = all_ws(store, "pea");
-      const grabbed = [];
+      all_ws(store, "pea");
+      const rollback = mark();
       const ret = {
         type: "attribute",
         static: false,
@@ -871,17 +1315,12 @@
       if (prefix) {
         ret[prefix] = true;
       }
-      if (w) grabbed.push(w);
       if (consume(ID, "readonly")) {
         ret.readonly = true;
-        grabbed.push(last_token);
-        const w = all_ws();
-        if (w) grabbed.push(w);
+        all_ws();
       }
       const rest = attribute_rest(ret);
-      if (!rest) {
-        tokens = grabbed.concat(tokens);
-      }
+      if (!rest) rewind(rollback);
       return rest;
     }
 
@@ -901,7 +1340,7 @@
       const thing = dictionary(true, store) ||
         interface_(true, store) ||
         namespace(true, store) ||
-        error("Partial doesn't apply to anything");
+        error("invalid-partial", "Partial doesn't apply to anything");
       return thing;
     }
 
@@ -909,7 +1348,7 @@
       all_ws(isPartial ? null : store, "pea");
       if (!consume(ID, "dictionary")) return;
       all_ws();
-      const name = consume(ID) || error("No name for dictionary");
+      const name = consume(ID) || error("no-dictionary-name", "No name for dictionary");
       const mems = [];
       const ret = current = {
         type: "dictionary",
@@ -919,35 +1358,41 @@
       };
       if (!isPartial) ret.inheritance = inheritance() || null;
       all_ws();
-      consume(OTHER, "{") || error("Bodyless dictionary");
+      consume(OTHER, "{") || error("no-dictionary-body", "Bodyless dictionary");
       while (true) {
         all_ws(store ? mems : null);
+        if (unterminated(ret)) return ret;
         if (consume(OTHER, "}")) {
           all_ws();
-          consume(OTHER, ";") || error("Missing semicolon after dictionary");
+          consume(OTHER, ";") || soft_error("no-semicolon-after-dictionary", "Missing semicolon after dictionary");
           return ret;
         }
-        const ea = extended_attrs(store ? mems : null);
-        all_ws(store ? mems : null, "pea");
-        const required = consume(ID, "required");
-        const typ = type_with_extended_attributes("dictionary-type") || error("No type for dictionary member");
-        all_ws();
-        const name = consume(ID) || error("No name for dictionary member");
-        const dflt = default_();
-        if (required && dflt) error("Required member must not have a default");
-        const member = {
-          type: "field",
-          name: name.value,
-          required: !!required,
-          idlType: typ,
-          extAttrs: ea
-        };
-        if (typeof dflt !== "undefined") {
-          member["default"] = dflt;
-        }
-        ret.members.push(member);
-        all_ws();
-        consume(OTHER, ";") || error("Unterminated dictionary member");
+        const mem = attempt(() => {
+          const start = start_token();
+          const ea = extended_attrs(store ? mems : null);
+          all_ws(store ? mems : null, "pea");
+          const required = consume(ID, "required");
+          const typ = type_with_extended_attributes("dictionary-type") || error("no-dictionary-member-type", "No type for dictionary member");
+          if (is_undefined(typ)) error("undefined-dictionary-member", "Dictionary members cannot be of type undefined", start);
+          all_ws();
+          const name = consume(ID) || error("no-dictionary-member-name", "No name for dictionary member");
+          const dflt = default_();
+          if (required && dflt) error("required-with-default", "Required member must not have a default", start);
+          const member = {
+            type: "field",
+            name: name.value,
+            required: !!required,
+            idlType: typ,
+            extAttrs: ea
+          };
+          if (typeof dflt !== "undefined") {
+            member["default"] = dflt;
+          }
+          all_ws();
+          consume(OTHER, ";") || error("no-semicolon-after-dictionary-member", "Unterminated dictionary member");
+          return located(documented(member, start), start);
+        }, skip_member);
+        if (mem) ret.members.push(mem);
       }
     }
 
@@ -955,7 +1400,7 @@
       all_ws(store, "pea");
       if (!consume(ID, "enum")) return;
       all_ws();
-      const name = consume(ID) || error("No name for enum");
+      const name = consume(ID) || error("no-enum-name", "No name for enum");
       const vals = [];
       const ret = current = {
         type: "enum",
@@ -963,21 +1408,25 @@
         values: vals
       };
       all_ws();
-      consume(OTHER, "{") || error("No curly for enum");
+      consume(OTHER, "{") || error("no-enum-body", "No curly for enum");
       let saw_comma = false;
       while (true) {
         all_ws(store ? vals : null);
         if (consume(OTHER, "}")) {
           all_ws();
-          consume(OTHER, ";") || error("No semicolon after enum");
+          consume(OTHER, ";") || soft_error("no-semicolon-after-enum", "No semicolon after enum");
           return ret;
         }
-        const val = consume(STR) || error("Unexpected value in enum");
-        val.value = val.value.slice(1, -1);
+        const start = start_token();
+        const tok = consume(STR) || error("invalid-enum-value", "Unexpected value in enum");
+        const val = located(documented({ type: "string", value: tok.value.slice(1, -1) }, start), start);
         ret.values.push(val);
         all_ws(store ? vals : null);
         if (consume(OTHER, ",")) {
           if (store) vals.push({ type: "," });
+          // In lossless mode, a comma is a token of the value before it, so
+          // that missing and trailing commas are written back where they were
+          else if (opt.lossless) claim(val, start);
           all_ws(store ? vals : null);
           saw_comma = true;
         } else {
@@ -993,61 +1442,63 @@
         type: "typedef"
       };
       all_ws();
-      ret.idlType = type_with_extended_attributes("typedef-type") || error("No type in typedef");
+      ret.idlType = type_with_extended_attributes("typedef-type") || error("no-typedef-type", "No type in typedef");
       all_ws();
-      const name = consume(ID) || error("No name in typedef");
+      const name = consume(ID) || error("no-typedef-name", "No name in typedef");
       ret.name = sanitize_name(name.value, "typedef");
       current = ret;
       all_ws();
-      consume(OTHER, ";") || error("Unterminated typedef");
+      consume(OTHER, ";") || error("no-semicolon-after-typedef", "Unterminated typedef");
       return ret;
     }
 
+    function nested_typedef(store) {
+      if (peek(ID, "typedef")) obsolete("legacy-nested-typedef", "Typedefs inside interfaces", "a top-level typedef", cursor);
+      return typedef(store);
+    }
+
     function implements_(store) {
       all_ws(store, "pea");
+      const rollback = mark();
       const target = consume(ID);
       if (!target) return;
-      const w = all_ws();
+      all_ws();
       if (consume(ID, "implements")) {
+        obsolete("legacy-implements", "`implements` statements", "an interface mixin and an `includes` statement", last_index);
         const ret = {
           type: "implements",
           target: target.value
         };
         all_ws();
-        const imp = consume(ID) || error("Incomplete implements statement");
+        const imp = consume(ID) || error("incomplete-implements", "Incomplete implements statement");
         ret["implements"] = imp.value;
         all_ws();
-        consume(OTHER, ";") || error("No terminating ; for implements statement");
+        consume(OTHER, ";") || error("no-semicolon-after-implements", "No terminating ; for implements statement");
         return ret;
       } else {
-        // rollback
-        if (w)
-          tokens.unshift(w);
-        tokens.unshift(target);
+        rewind(rollback);
       }
     }
 
     function includes(store) {
       all_ws(store, "pea");
+      const rollback = mark();
       const target = consume(ID);
       if (!target) return;
-      const w = all_ws();
+      all_ws();
       if (consume(ID, "includes")) {
         const ret = {
           type: "includes",
           target: target.value
         };
         all_ws();
-        const imp = consume(ID) || error("Incomplete includes statement");
+        const imp = consume(ID) || error("incomplete-includes", "Incomplete includes statement");
         ret["includes"] = imp.value;
         all_ws();
-        consume(OTHER, ";") || error("No terminating ; for includes statement");
+        consume(OTHER, ";") || error("no-semicolon-after-includes", "No terminating ; for includes statement");
         return ret;
       } else {
-        // rollback
-        if (w)
-          tokens.unshift(w);
-        tokens.unshift(target);
+        rewind(rollback);
       }
     }
 
@@ -1064,31 +1515,970 @@
     }
 
     function definitions(store) {
-      if (!tokens.length) return [];
+      if (done()) return [];
       const defs = [];
       while (true) {
-        const ea = extended_attrs(store ? defs : null);
-        const def = definition(store ? defs : null);
-        if (!def) {
-          if (ea.length) error("Stray extended attributes");
-          break;
-        }
-        def.extAttrs = ea;
-        defs.push(def);
+        const def = attempt(() => {
+          const start = start_token();
+          const ea = extended_attrs(store ? defs : null);
+          const def = definition(store ? defs : null);
+          if (!def) {
+            if (ea.length) error("stray-extended-attributes", "Stray extended attributes", start);
+            if (opt.recover && !done()) error("unrecognised-tokens", "Unrecognised tokens");
+            return;
+          }
+          def.extAttrs = ea;
+          if (doc.name) def.sourceName = doc.name;
+          return located(documented(def, start), start);
+        }, skip_definition);
+        if (def) defs.push(def);
+        else if (!opt.recover || done()) break;
       }
       return defs;
     }
-    const res = definitions(opt.ws);
-    if (tokens.length) error("Unrecognised tokens");
+    const res = definitions(!opt.lossless && opt.ws);
+    if (!done()) error("unrecognised-tokens", "Unrecognised tokens");
+    if (opt.lossless) attach_tokens(res);
+    if (opt.recover) return { ast: res, errors };
     return res;
   }
 
+  const arrayBufferViewTypes = [
+    "Int8Array", "Int16Array", "Int32Array", "Uint8Array", "Uint16Array", "Uint32Array",
+    "Uint8ClampedArray", "BigInt64Array", "BigUint64Array", "Float32Array", "Float64Array",
+    "DataView"
+  ];
+  const bufferSourceTypes = new Set(["ArrayBuffer", "SharedArrayBuffer"].concat(arrayBufferViewTypes));
+
+  // The typedefs that WebIDL defines itself, parsed when first needed
+  const builtinTypedefSource = `
+    typedef (${arrayBufferViewTypes.join(" or ")}) ArrayBufferView;
+    typedef (ArrayBufferView or ArrayBuffer) BufferSource;
+    typedef (ArrayBuffer or SharedArrayBuffer or [AllowShared] ArrayBufferView) AllowSharedBufferSource;
+    typedef unsigned long long DOMTimeStamp;
+  `;
+  let builtinTypedefs = null;
+
+  function builtin_typedefs() {
+    if (!builtinTypedefs) builtinTypedefs = parse(tokenise(builtinTypedefSource), {}, { text: builtinTypedefSource });
+    return builtinTypedefs;
+  }
+
+  // Type names that are defined by WebIDL itself rather than by any definition.
+  const builtinTypes = new Set([
+    "any", "object", "symbol", "void", "undefined",
+    "boolean", "byte", "octet", "bigint",
+    "short", "unsigned short", "long", "unsigned long", "long long", "unsigned long long",
+    "float", "unrestricted float", "double", "unrestricted double",
+    "DOMString", "ByteString", "USVString",
+    ...bufferSourceTypes,
+    "ArrayBufferView", "BufferSource", "AllowSharedBufferSource", "DOMTimeStamp",
+    "Error", "DOMException"
+  ]);
+
+  // Definition types that may appear where an IDL type is expected.
+  const typeDefinitions = new Set([
+    "interface", "callback interface", "dictionary", "enum", "typedef", "callback"
+  ]);
+
+  // Whitespace and comment entries kept in the AST by the `ws` option.
+  const trivia = new Set();
+  for (const type of ["ws", "line-comment", "multiline-comment"]) {
+    trivia.add(type).add(`${type}-pea`).add(`${type}-tpea`);
+  }
+
+  // Where extended attributes may appear: the types of definitions and
+  // members, "argument" and "type"
+  const exposable = ["interface", "interface mixin", "callback interface", "namespace", "attribute", "operation", "const"];
+  const annotatable = ["argument", "field", "type"];
+
+  // Extended attributes renamed or replaced in the current standard, with
+  // the name to use instead, if any
+  const legacyExtendedAttributes = new Map([
+    ["Constructor", null],
+    ["LenientSetter", "LegacyLenientSetter"],
+    ["LenientThis", "LegacyLenientThis"],
+    ["NamedConstructor", "LegacyFactoryFunction"],
+    ["NoInterfaceObject", "LegacyNoInterfaceObject"],
+    ["OverrideBuiltins", "LegacyOverrideBuiltIns"],
+    ["PrimaryGlobal", "Global"],
+    ["TreatNonObjectAsNull", "LegacyTreatNonObjectAsNull"],
+    ["TreatNullAs", "LegacyNullToEmptyString"],
+    ["Unforgeable", "LegacyUnforgeable"]
+  ]);
+
+  // The known extended attributes, with the shapes they may take and where
+  // they may appear.
+  const extendedAttributes = {
+    AllowShared: { shapes: ["no-args"], placements: annotatable },
+    CEReactions: { shapes: ["no-args"], placements: ["attribute", "operation"] },
+    Clamp: { shapes: ["no-args"], placements: annotatable },
+    Constructor: { shapes: ["no-args", "arg-list"], placements: ["interface"] },
+    CrossOriginIsolated: { shapes: ["no-args"], placements: exposable },
+    Default: { shapes: ["no-args"], placements: ["operation"] },
+    EnforceRange: { shapes: ["no-args"], placements: annotatable },
+    Exposed: { shapes: ["identifier", "identifier-list"], placements: exposable },
+    Global: { shapes: ["no-args", "identifier", "identifier-list"], placements: ["interface"] },
+    HTMLConstructor: { shapes: ["no-args"], placements: ["interface", "constructor"] },
+    LegacyArrayClass: { shapes: ["no-args"], placements: ["interface"] },
+    LegacyFactoryFunction: { shapes: ["named-arg-list"], placements: ["interface"] },
+    LegacyLenientSetter: { shapes: ["no-args"], placements: ["attribute"] },
+    LegacyLenientThis: { shapes: ["no-args"], placements: ["attribute"] },
+    LegacyNamespace: { shapes: ["identifier"], placements: ["interface"] },
+    LegacyNoInterfaceObject: { shapes: ["no-args"], placements: ["interface"] },
+    LegacyNullToEmptyString: { shapes: ["no-args"], placements: annotatable },
+    LegacyOverrideBuiltIns: { shapes: ["no-args"], placements: ["interface"] },
+    LegacyTreatNonObjectAsNull: { shapes: ["no-args"], placements: ["callback"] },
+    LegacyUnenumerableNamedProperties: { shapes: ["no-args"], placements: ["interface"] },
+    LegacyUnforgeable: { shapes: ["no-args"], placements: ["interface", "attribute", "operation"] },
+    LegacyWindowAlias: { shapes: ["identifier", "identifier-list"], placements: ["interface"] },
+    LenientSetter: { shapes: ["no-args"], placements: ["attribute"] },
+    LenientThis: { shapes: ["no-args"], placements: ["attribute"] },
+    NamedConstructor: { shapes: ["identifier", "named-arg-list"], placements: ["interface"] },
+    NewObject: { shapes: ["no-args"], placements: ["operation"] },
+    NoInterfaceObject: { shapes: ["no-args"], placements: ["interface"] },
+    OverrideBuiltins: { shapes: ["no-args"], placements: ["interface"] },
+    PrimaryGlobal: { shapes: ["no-args", "identifier", "identifier-list"], placements: ["interface"] },
+    PutForwards: { shapes: ["identifier"], placements: ["attribute"] },
+    Replaceable: { shapes: ["no-args"], placements: ["attribute"] },
+    SameObject: { shapes: ["no-args"], placements: ["attribute"] },
+    SecureContext: { shapes: ["no-args"], placements: exposable },
+    Serializable: { shapes: ["no-args"], placements: ["interface"] },
+    Transferable: { shapes: ["no-args"], placements: ["interface"] },
+    TreatNonObjectAsNull: { shapes: ["no-args"], placements: ["callback"] },
+    TreatNullAs: { shapes: ["identifier"], placements: annotatable.concat("attribute") },
+    Unforgeable: { shapes: ["no-args"], placements: ["interface", "attribute", "operation"] },
+    Unscopable: { shapes: ["no-args"], placements: ["attribute", "operation"] }
+  };
+
+  const shapeDescriptions = {
+    "no-args": "no value or arguments",
+    "arg-list": "an argument list",
+    "named-arg-list": "a name with an argument list",
+    identifier: "an identifier",
+    "identifier-list": "a list of identifiers",
+    string: "a string",
+    integer: "an integer",
+    float: "a float"
+  };
+
+  const placementLabels = {
+    const: "constant",
+    field: "dictionary member",
+    "interface mixin": "mixin"
+  };
+
+  function extended_attribute_shape(ea) {
+    if (!ea.rhs) return ea["arguments"] ? "arg-list" : "no-args";
+    if (ea["arguments"]) return "named-arg-list";
+    return ea.rhs.type;
+  }
+
+  // How messages refer to a definition, e.g. "`partial interface Foo`"
+  function definition_label(def) {
+    if (!def.name) return `\`${def.type}\` statement`;
+    return `\`${def.partial ? "partial " : ""}${def.type} ${def.name}\``;
+  }
+
+  function diagnostic(code, message, definition, node, name) {
+    return {
+      code,
+      message: `In ${definition_label(definition)}: ${message}`,
+      definition,
+      node,
+      name
+    };
+  }
+
+  function validate(ast, opt = {}) {
+    const registry = Object.assign({}, extendedAttributes, opt.extendedAttributes);
+    const defs = new Map();
+    for (const def of ast) {
+      // Partials still declare the name, so that IDL extending definitions
+      // from elsewhere does not produce dangling references.
+      if (def.name && (!defs.has(def.name) || defs.get(def.name).partial)) {
+        defs.set(def.name, def);
+      }
+    }
+
+    const diagnostics = [];
+    let current = null;
+
+    function report(code, message, node, name) {
+      diagnostics.push(diagnostic(code, message, current, node, name));
+    }
+
+    function check_type_name(name, node) {
+      if (builtinTypes.has(name)) return;
+      const def = defs.get(name);
+      if (!def) {
+        report("unknown-type", `Type \`${name}\` is not defined`, node, name);
+      } else if (!typeDefinitions.has(def.type)) {
+        report("invalid-type", `\`${def.type} ${name}\` cannot be used as a type`, node, name);
+      }
+    }
+
+    function check_type(idlType) {
+      if (!idlType) return;
+      if (typeof idlType === "string") return check_type_name(idlType, null);
+      if (Array.isArray(idlType)) {
+        for (const t of idlType) check_type(t);
+        return;
+      }
+      check_ext_attrs(idlType.extAttrs, "type");
+      if (typeof idlType.idlType === "string") check_type_name(idlType.idlType, idlType);
+      else check_type(idlType.idlType);
+    }
+
+    function check_arguments(args) {
+      if (!args) return;
+      for (const arg of args) {
+        // skip whitespace entries stored with `ws: true`
+        if (!arg.idlType) continue;
+        check_ext_attrs(arg.extAttrs, "argument");
+        check_type(arg.idlType);
+      }
+    }
+
+    function check_ext_attrs(extAttrs, placement) {
+      if (!extAttrs) return;
+      for (const ea of extAttrs) {
+        if (trivia.has(ea.type)) continue;
+        check_ext_attr(ea, placement);
+        check_arguments(ea["arguments"]);
+      }
+    }
+
+    function check_ext_attr(ea, placement) {
+      const known = registry[ea.name];
+      if (!known) {
+        report("unknown-extended-attribute", `Unknown extended attribute \`[${ea.name}]\``, ea, ea.name);
+        return;
+      }
+      if (!known.shapes.includes(extended_attribute_shape(ea))) {
+        const expected = known.shapes.map(shape => shapeDescriptions[shape]).join(" or ");
+        report("invalid-extended-attribute", `Extended attribute \`[${ea.name}]\` expects ${expected}`, ea, ea.name);
+      }
+      if (!known.placements.includes(placement)) {
+        const label = placementLabels[placement] || placement;
+        const article = /^[aeiou]/.test(label) ? "an" : "a";
+        report("misplaced-extended-attribute", `Extended attribute \`[${ea.name}]\` cannot be used on ${article} ${label}`, ea, ea.name);
+      }
+    }
+
+    function check_inheritance(def, allowed) {
+      if (!def.inheritance) return;
+      const parent = defs.get(def.inheritance);
+      if (!parent) {
+        report("unknown-inheritance", `Inherits from \`${def.inheritance}\`, which is not defined`, def, def.inheritance);
+        return;
+      }
+      if (parent.type !== allowed) {
+        report("invalid-inheritance", `A ${def.type} cannot inherit from \`${parent.type} ${parent.name}\``, def, def.inheritance);
+        return;
+      }
+      const seen = new Set([def.name]);
+      for (let it = parent; it && it.inheritance; it = defs.get(it.inheritance)) {
+        if (seen.has(it.inheritance)) {
+          report("cyclic-inheritance", `Inheritance chain of \`${def.name}\` is cyclic`, def, def.inheritance);
+          return;
+        }
+        seen.add(it.inheritance);
+      }
+    }
+
+    function check_reference(def, code, name, allowed, role) {
+      const target = defs.get(name);
+      if (!target) {
+        report(`unknown-${code}`, `${role} \`${name}\` is not defined`, def, name);
+      } else if (target.type !== allowed) {
+        report(`invalid-${code}`, `${role} \`${name}\` must be an ${allowed}, not a ${target.type}`, def, name);
+      }
+    }
+
+    function check_members(members) {
+      for (const mem of members) {
+        check_ext_attrs(mem.extAttrs, mem.type);
+        check_type(mem.idlType);
+        check_arguments(mem["arguments"]);
+      }
+    }
+
+    for (const def of ast) {
+      current = def;
+      check_ext_attrs(def.extAttrs, def.type);
+      switch (def.type) {
+        case "interface":
+        case "callback interface":
+          check_inheritance(def, def.type);
+          check_members(def.members);
+          break;
+        case "dictionary":
+          check_inheritance(def, "dictionary");
+          check_members(def.members);
+          break;
+        case "interface mixin":
+        case "namespace":
+          check_members(def.members);
+          break;
+        case "typedef":
+          check_ext_attrs(def.typeExtAttrs, "type");
+          check_type(def.idlType);
+          break;
+        case "callback":
+          check_type(def.idlType);
+          check_arguments(def["arguments"]);
+          break;
+        case "includes":
+          check_reference(def, "includes", def.target, "interface", "Target");
+          check_reference(def, "includes", def.includes, "interface mixin", "Included mixin");
+          break;
+        case "implements":
+          check_reference(def, "implements", def.target, "interface", "Target");
+          check_reference(def, "implements", def["implements"], "interface", "Implemented interface");
+          break;
+      }
+    }
+    return diagnostics;
+  }
+
+  function merge(ast) {
+    // Definitions sharing a name, in order of first appearance
+    const groups = new Map();
+    const order = [];
+    const diagnostics = [];
+
+    function members_of(def) {
+      return def.members
+        .filter(mem => !trivia.has(mem.type))
+        .map(mem => Object.assign({}, mem, { origin: def }));
+    }
+
+    for (const def of ast) {
+      if (trivia.has(def.type) || def.type === "includes") continue;
+      if (!def.name) {
+        order.push({ merged: def });
+        continue;
+      }
+      let group = groups.get(def.name);
+      if (!group) {
+        group = { base: null, partials: [], merged: null };
+        groups.set(def.name, group);
+        order.push(group);
+      }
+      if (def.partial) {
+        group.partials.push(def);
+      } else if (group.base) {
+        diagnostics.push(diagnostic("duplicate-definition", `\`${def.name}\` is already defined as a ${group.base.type}`, def, def, def.name));
+      } else {
+        group.base = def;
+      }
+    }
+
+    for (const group of groups.values()) {
+      const { base, partials } = group;
+      const first = base || partials[0];
+      if (!base) {
+        for (const partial of partials) {
+          diagnostics.push(diagnostic("partial-without-base", `No definition of \`${partial.name}\` to extend`, partial, partial, partial.name));
+        }
+      }
+      if (!first.members) {
+        group.merged = base;
+        continue;
+      }
+      const merged = group.merged = Object.assign({}, first, {
+        members: base ? members_of(base) : [],
+        extAttrs: base ? base.extAttrs : []
+      });
+      for (const partial of partials) {
+        if (partial.type !== first.type) {
+          diagnostics.push(diagnostic("partial-type-mismatch", `\`${partial.name}\` is a ${first.type}`, partial, partial, partial.name));
+          continue;
+        }
+        merged.members.push(...members_of(partial));
+      }
+    }
+
+    for (const def of ast) {
+      if (def.type !== "includes") continue;
+      const target = groups.get(def.target);
+      const mixin = groups.get(def.includes);
+      // Broken statements are left to validate()
+      if (!target || !mixin) continue;
+      if (target.merged.type !== "interface" || mixin.merged.type !== "interface mixin") continue;
+      for (const mem of mixin.merged.members) {
+        target.merged.members.push(Object.assign({}, mem));
+      }
+    }
+
+    return {
+      ast: order.map(group => group.merged),
+      diagnostics
+    };
+  }
+
+  // The properties holding child nodes, in source order, and the kind of
+  // node each holds. Members and definitions are keyed by their own type.
+  const childKinds = [
+    ["extAttrs", "extended-attribute"],
+    ["typeExtAttrs", "extended-attribute"],
+    ["idlType", "idlType"],
+    ["arguments", "argument"],
+    ["default", "value"],
+    ["value", "value"],
+    ["members", null],
+    ["values", "enum-value"]
+  ];
+
+  function walk(ast, visitor) {
+    function callback(kind, phase) {
+      const handler = visitor[kind];
+      if (!handler) return;
+      if (typeof handler === "function") return phase === "enter" ? handler : undefined;
+      return handler[phase];
+    }
+
+    function visit_children(node, parents) {
+      const inner = [node].concat(parents);
+      for (const [key, childKind] of childKinds) {
+        const child = node[key];
+        if (!child || typeof child !== "object") continue;
+        if (Array.isArray(child)) {
+          for (let i = 0; i < child.length; i++) {
+            visit(child, i, key, childKind, inner);
+          }
+        }
+        else visit(node, key, key, childKind, inner);
+      }
+    }
+
+    function visit(container, index, key, kind, parents) {
+      let node = container[index];
+      if (!node || typeof node !== "object") return;
+      if (trivia.has(node.type)) kind = node.type;
+      else if (!kind) kind = node.type;
+      let skipped = false;
+      const path = {
+        node,
+        kind,
+        key,
+        index: Array.isArray(container) ? index : null,
+        parent: parents[0] || null,
+        parents,
+        skip() {
+          skipped = true;
+        },
+        replace(replacement) {
+          container[index] = node = path.node = replacement;
+        }
+      };
+      const enter = callback(kind, "enter");
+      if (enter) enter(node, path);
+      if (!skipped && node) visit_children(node, parents);
+      const leave = callback(kind, "leave");
+      if (leave && node) leave(node, path);
+    }
+
+    for (let i = 0; i < ast.length; i++) {
+      visit(ast, i, null, null, []);
+    }
+    return ast;
+  }
+
+  const numericTypes = new Set([
+    "byte", "octet", "short", "unsigned short", "long", "unsigned long",
+    "long long", "unsigned long long", "float", "unrestricted float",
+    "double", "unrestricted double"
+  ]);
+  const stringTypes = new Set(["DOMString", "ByteString", "USVString"]);
+
+  function type_string(it) {
+    if (typeof it === "string") return it;
+    let ret;
+    if (it.union) ret = `(${it.idlType.map(type_string).join(" or ")})`;
+    else if (it.generic) ret = `${it.generic}<${[].concat(it.idlType).map(type_string).join(", ")}>`;
+    else ret = type_string(it.idlType);
+    return it.nullable ? `${ret}?` : ret;
+  }
+
+  function types(ast) {
+    const defs = new Map();
+    for (const def of ast) {
+      if (def.name && (!defs.has(def.name) || defs.get(def.name).partial)) {
+        defs.set(def.name, def);
+      }
+    }
+    for (const def of builtin_typedefs()) {
+      if (!defs.has(def.name)) defs.set(def.name, def);
+    }
+
+    function to_type(type) {
+      if (typeof type !== "string") return type;
+      return { type: null, sequence: false, generic: null, nullable: false, union: false, idlType: type, extAttrs: [] };
+    }
+
+    // Replaces typedef names with their types, recursively. Cyclic typedefs
+    // are left as they are.
+    function expand(type, seen = new Set()) {
+      type = to_type(type);
+      if (Array.isArray(type.idlType)) {
+        return Object.assign({}, type, { idlType: type.idlType.map(it => expand(it, seen)) });
+      }
+      if (typeof type.idlType !== "string") {
+        return Object.assign({}, type, { idlType: expand(type.idlType, seen) });
+      }
+      const def = defs.get(type.idlType);
+      if (!def || def.type !== "typedef" || seen.has(def.name)) return type;
+      const inner = expand(def.idlType, new Set(seen).add(def.name));
+      const ret = Object.assign({}, inner, {
+        type: type.type,
+        nullable: type.nullable || inner.nullable,
+        extAttrs: (type.extAttrs || []).concat(inner.extAttrs || [])
+      });
+      if (type.location) ret.location = type.location;
+      else delete ret.location;
+      return ret;
+    }
+
+    function flattenedMemberTypes(type) {
+      const it = expand(type);
+      if (!it.union) return [Object.assign({}, it, { nullable: false })];
+      const ret = [];
+      for (const member of it.idlType) ret.push(...flattenedMemberTypes(member));
+      return ret;
+    }
+
+    function includesNullable(type) {
+      const it = expand(type);
+      return Boolean(it.nullable || (it.union && it.idlType.some(includesNullable)));
+    }
+
+    function classify(type) {
+      const it = expand(type);
+      // Such as BufferSource
+      if (it.union) return flattenedMemberTypes(it).every(member => bufferSourceTypes.has(member.idlType)) ? "buffer source" : "union";
+      if (it.generic === "sequence" || it.generic === "FrozenArray" || it.generic === "ObservableArray") return "sequence";
+      if (it.generic === "record") return "record";
+      if (it.generic === "Promise") return "promise";
+      if (it.generic) return "unknown";
+      const name = it.idlType;
+      if (name === "any" || name === "void" || name === "undefined" || name === "object" || name === "symbol") return name;
+      if (name === "boolean" || name === "bigint" || numericTypes.has(name)) return "primitive";
+      if (stringTypes.has(name)) return "string";
+      if (bufferSourceTypes.has(name)) return "buffer source";
+      if (name === "Error" || name === "DOMException") return "interface";
+      const def = defs.get(name);
+      if (!def) return "unknown";
+      switch (def.type) {
+        case "interface":
+        case "dictionary":
+        case "enum":
+        case "callback":
+        case "callback interface":
+          return def.type;
+        default:
+          return "unknown";
+      }
+    }
+
+    return { expand, flattenedMemberTypes, includesNullable, classify };
+  }
+
+  function overloads(ast) {
+    const merged = merge(ast).ast;
+    const defs = new Map();
+    for (const def of merged) {
+      if (def.name) defs.set(def.name, def);
+    }
+    const { expand, flattenedMemberTypes, includesNullable, classify } = types(merged);
+
+    const sets = [];
+    const diagnostics = [];
+    let current = null;
+
+    function report(code, message, node, name) {
+      diagnostics.push(diagnostic(code, message, current, node, name));
+    }
+
+    function is_dictionary(type) {
+      return flattenedMemberTypes(type).some(it => classify(it) === "dictionary");
+    }
+
+    // The category of a type in the distinguishability table, if any
+    function category(type) {
+      switch (classify(type)) {
+        case "primitive": {
+          const name = expand(type).idlType;
+          return name === "boolean" || name === "bigint" ? name : "numeric";
+        }
+        case "undefined": return "undefined";
+        case "string":
+        case "enum": return "string";
+        case "object": return "object";
+        case "symbol": return "symbol";
+        case "interface":
+        case "buffer source":
+        case "unknown": return "interface-like";
+        case "callback": return "callback function";
+        case "dictionary":
+        case "callback interface":
+        case "record": return "dictionary-like";
+        case "sequence": return "sequence-like";
+      }
+    }
+
+    function inherits(name, ancestor) {
+      const seen = new Set();
+      for (let def = defs.get(name); def && def.inheritance && !seen.has(def.name); def = defs.get(def.inheritance)) {
+        if (def.inheritance === ancestor) return true;
+        seen.add(def.name);
+      }
+      return false;
+    }
+
+    function distinguishable(a, b) {
+      a = expand(a);
+      b = expand(b);
+      if (includesNullable(a) && (includesNullable(b) || is_dictionary(b))) return false;
+      if (includesNullable(b) && is_dictionary(a)) return false;
+      if (a.union || b.union) {
+        const as = flattenedMemberTypes(a);
+        const bs = flattenedMemberTypes(b);
+        return as.every(x => bs.every(y => distinguishable(x, y)));
+      }
+      const ca = category(a);
+      const cb = category(b);
+      if (!ca || !cb) return false;
+      if (ca === cb) {
+        // No object can implement two interfaces unless one inherits from
+        // the other
+        return ca === "interface-like" && a.idlType !== b.idlType &&
+          !inherits(a.idlType, b.idlType) && !inherits(b.idlType, a.idlType);
+      }
+      if (ca === "object" || cb === "object") {
+        return ["boolean", "numeric", "bigint", "string", "symbol", "undefined"].includes(ca === "object" ? cb : ca);
+      }
+      if ((ca === "undefined" && cb === "dictionary-like") || (cb === "undefined" && ca === "dictionary-like")) return false;
+      if (ca === "callback function" && cb === "dictionary-like") return !treats_non_object_as_null(a);
+      if (cb === "callback function" && ca === "dictionary-like") return !treats_non_object_as_null(b);
+      return true;
+    }
+
+    function treats_non_object_as_null(type) {
+      const def = defs.get(type.idlType);
+      return def.extAttrs.some(ea => ea.name === "TreatNonObjectAsNull" || ea.name === "LegacyTreatNonObjectAsNull");
+    }
+
+    function effective_overload_set(overloads) {
+      const args = overload => overload["arguments"].filter(arg => arg.idlType);
+      const maxArgs = Math.max(0, ...overloads.map(overload => args(overload).length));
+      const entries = [];
+      for (const overload of overloads) {
+        const list = args(overload);
+        const types = list.map(arg => arg.idlType);
+        const optionality = list.map(arg => arg.variadic ? "variadic" : arg.optional ? "optional" : "required");
+        entries.push({ overload, types, optionality });
+        const n = list.length;
+        if (n && list[n - 1].variadic) {
+          for (let i = n; i < maxArgs; i++) {
+            entries.push({
+              overload,
+              types: types.concat(new Array(i - n + 1).fill(types[n - 1])),
+              optionality: optionality.concat(new Array(i - n + 1).fill("variadic"))
+            });
+          }
+        }
+        for (let i = n - 1; i >= 0 && optionality[i] !== "required"; i--) {
+          entries.push({ overload, types: types.slice(0, i), optionality: optionality.slice(0, i) });
+        }
+      }
+      return entries;
+    }
+
+    function check_set(set) {
+      const lengths = new Map();
+      for (const entry of set.entries) {
+        const n = entry.types.length;
+        if (!lengths.has(n)) lengths.set(n, []);
+        lengths.get(n).push(entry);
+      }
+      for (const [n, entries] of lengths) {
+        if (entries.length < 2) continue;
+        const signatures = entries.map(entry => `\`${set.name}(${entry.types.map(type_string).join(", ")})\``).join(", ");
+        const args = `${n} argument${n === 1 ? "" : "s"}`;
+        let index = -1;
+        for (let i = 0; i < n && index < 0; i++) {
+          const pairs = entries.every((a, j) => entries.slice(j + 1).every(b => distinguishable(a.types[i], b.types[i])));
+          if (pairs) index = i;
+        }
+        if (index < 0) {
+          report("indistinguishable-overloads", `Overloads of \`${set.name}\` called with ${args} cannot be distinguished: ${signatures}`, set.overloads[0], set.name);
+          return;
+        }
+        for (let i = 0; i < index; i++) {
+          const same = entries.every(entry => type_string(entry.types[i]) === type_string(entries[0].types[i]) &&
+            entry.optionality[i] === entries[0].optionality[i]);
+          if (!same) {
+            report("overload-argument-mismatch", `Overloads of \`${set.name}\` called with ${args} must agree on argument ${i + 1}, which comes before the distinguishing argument ${index + 1}: ${signatures}`, set.overloads[0], set.name);
+            return;
+          }
+        }
+      }
+    }
+
+    function add_set(definition, kind, name, overloads) {
+      const set = { definition, kind, name, overloads, entries: effective_overload_set(overloads) };
+      sets.push(set);
+      current = definition;
+      check_set(set);
+    }
+
+    function group(items, key) {
+      const groups = new Map();
+      for (const item of items) {
+        const k = key(item);
+        if (k === undefined) continue;
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(item);
+      }
+      return groups;
+    }
+
+    for (const def of merged) {
+      // Mixins are checked through the interfaces including them
+      if (def.type === "interface mixin") continue;
+      if (def.type === "callback") {
+        add_set(def, "callback", def.name, [def]);
+        continue;
+      }
+      if (!def.members) continue;
+      const operations = def.members.filter(mem => mem.type === "operation");
+      for (const [name, ops] of group(operations, op => op.name || undefined)) {
+        add_set(def, ops[0]["static"] ? "static operation" : "operation", name, ops);
+      }
+      if (def.type !== "interface") continue;
+      const constructors = def.extAttrs
+        .filter(ea => ea.name === "Constructor")
+        .map(ea => Object.assign({}, ea, { arguments: ea["arguments"] || [] }))
+        .concat(def.members.filter(mem => mem.type === "constructor"));
+      if (constructors.length) add_set(def, "constructor", "constructor", constructors);
+      const named = def.extAttrs.filter(ea => ea.name === "NamedConstructor" && ea.rhs);
+      for (const [name, ctors] of group(named, ea => ea.rhs.value)) {
+        add_set(def, "named constructor", name, ctors.map(ea => Object.assign({}, ea, { arguments: ea["arguments"] || [] })));
+      }
+    }
+
+    walk(ast, {
+      idlType(node, path) {
+        // Nested unions are checked with the outermost one
+        if (!node.union || path.parent.union) return;
+        current = path.parents[path.parents.length - 1];
+        const members = flattenedMemberTypes(node);
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            if (!distinguishable(members[i], members[j])) {
+              report("indistinguishable-union-members", `\`${type_string(members[i])}\` and \`${type_string(members[j])}\` in the union \`${type_string(node)}\` cannot be distinguished`, node);
+              return;
+            }
+          }
+        }
+      }
+    });
+
+    return { sets, diagnostics };
+  }
+
+  function exposure(ast, opt = {}) {
+    const merged = merge(ast).ast;
+    const diagnostics = [];
+    let current = null;
+
+    function report(code, message, node, name) {
+      diagnostics.push(diagnostic(code, message, current, node, name));
+    }
+
+    function ext_attr(node, name) {
+      return node.extAttrs && node.extAttrs.find(ea => ea.name === name);
+    }
+
+    function identifiers(ea) {
+      if (!ea || !ea.rhs) return;
+      return ea.rhs.type === "identifier-list" ? ea.rhs.value : [ea.rhs.value];
+    }
+
+    // The global names of the interfaces with [Global] or [PrimaryGlobal]
+    const globals = new Map();
+    let primary = "Window";
+    const defs = new Map();
+    for (const def of merged) {
+      if (def.name) defs.set(def.name, def);
+      if (def.type !== "interface") continue;
+      const ea = ext_attr(def, "Global") || ext_attr(def, "PrimaryGlobal");
+      if (!ea) continue;
+      globals.set(def.name, identifiers(ea) || [def.name]);
+      if (ea.name === "PrimaryGlobal") primary = globals.get(def.name)[0];
+    }
+    for (const name of Object.keys(opt.globals || {})) {
+      globals.set(name, opt.globals[name]);
+    }
+
+    // Resolves global names to the global interfaces having them, keeping
+    // the names themselves when no global interface is known.
+    function resolve(names, node) {
+      const ret = new Set();
+      for (const name of names) {
+        let found = false;
+        for (const [global, globalNames] of globals) {
+          if (globalNames.includes(name)) {
+            ret.add(global);
+            found = true;
+          }
+        }
+        if (found) continue;
+        if (globals.size && node) report("unknown-global", `No global interface has the name \`${name}\``, node, name);
+        ret.add(name);
+      }
+      return ret;
+    }
+
+    function own_exposure(node) {
+      const ea = ext_attr(node, "Exposed");
+      const names = identifiers(ea);
+      return names && resolve(names, ea);
+    }
+
+    function is_subset(a, b) {
+      for (const it of a) {
+        if (!b.has(it)) return false;
+      }
+      return true;
+    }
+
+    function intersect(a, b) {
+      return new Set([...a].filter(it => b.has(it)));
+    }
+
+    const result = new Map();
+    function record(node, exposed, secureContext) {
+      result.set(node, { globals: [...exposed].sort(), secureContext });
+      return exposed;
+    }
+
+    const exposable = new Set(["interface", "interface mixin", "callback interface", "namespace"]);
+    const defaultExposure = () => resolve([primary]);
+    // Mixins without [Exposed] are exposed wherever the interfaces
+    // including them are
+    const includers = new Map();
+    for (const def of ast) {
+      if (def.type !== "includes") continue;
+      if (!includers.has(def.includes)) includers.set(def.includes, []);
+      includers.get(def.includes).push(def.target);
+    }
+
+    const definitionExposure = new Map();
+    function definition_exposure(def) {
+      if (definitionExposure.has(def)) return definitionExposure.get(def);
+      current = def;
+      let exposed = own_exposure(def);
+      if (!exposed && def.type === "interface mixin" && includers.has(def.name)) {
+        exposed = new Set();
+        for (const name of includers.get(def.name)) {
+          const target = defs.get(name);
+          if (target && target !== def) definition_exposure(target).forEach(it => exposed.add(it));
+        }
+        current = def;
+      }
+      if (!exposed) exposed = defaultExposure();
+      definitionExposure.set(def, exposed);
+      return exposed;
+    }
+
+    for (const def of merged) {
+      if (!exposable.has(def.type)) continue;
+      const exposed = definition_exposure(def);
+      current = def;
+      const secureContext = Boolean(ext_attr(def, "SecureContext"));
+      record(def, exposed, secureContext);
+
+      const parent = def.inheritance && defs.get(def.inheritance);
+      if (parent && exposable.has(parent.type) && !is_subset(exposed, definition_exposure(parent))) {
+        current = def;
+        report("exposure-not-subset", `Exposed where the inherited \`${parent.name}\` is not`, def, parent.name);
+      }
+
+      for (const mem of def.members) {
+        current = def;
+        // The partial or mixin the member was declared in, and for partial
+        // mixins the mixin itself
+        const origin = mem.origin && mem.origin !== def ? mem.origin : null;
+        const mixin = origin && origin.type === "interface mixin" ? defs.get(origin.name) : null;
+        let memExposed = own_exposure(mem);
+        const declared = memExposed || (origin && own_exposure(origin)) || (mixin && mixin !== def && definition_exposure(mixin));
+        current = def;
+        if (declared && !is_subset(declared, exposed)) {
+          if (memExposed || (origin && origin.type === def.type)) {
+            report("exposure-not-subset", `The ${mem.type} \`${mem.name || mem.type}\` is exposed where \`${def.name}\` is not`, mem, mem.name);
+          }
+        }
+        memExposed = declared ? intersect(declared, exposed) : exposed;
+        const memSecure = secureContext || Boolean(ext_attr(mem, "SecureContext")) ||
+          Boolean(origin && ext_attr(origin, "SecureContext")) || Boolean(mixin && ext_attr(mixin, "SecureContext"));
+        record(mem, memExposed, memSecure);
+      }
+    }
+
+    function filter(global, filterOpt = {}) {
+      const target = globals.has(global) ? new Set([global]) : resolve([global]);
+      const secureContext = filterOpt.secureContext !== false;
+      function keep(node) {
+        const info = result.get(node);
+        if (!info) return true;
+        return info.globals.some(it => target.has(it)) && (secureContext || !info.secureContext);
+      }
+      return merged.filter(keep).map(def => {
+        if (!result.has(def)) return def;
+        return Object.assign({}, def, { members: def.members.filter(keep) });
+      });
+    }
+
+    return { ast: merged, exposure: result, diagnostics, filter };
+  }
+
   const obj = {
     parse(str, opt) {
       if (!opt) opt = {};
       const tokens = tokenise(str);
-      return parse(tokens, opt);
-    }
+      return parse(tokens, opt, { text: str });
+    },
+    tokenise: lex,
+    parseAll(sources, opt) {
+      if (!opt) opt = {};
+      const names = new Map();
+      const ast = [];
+      const errors = [];
+      for (const { name, text } of sources) {
+        const res = parse(tokenise(text), opt, { text, name, names });
+        if (opt.recover) {
+          ast.push(...res.ast);
+          errors.push(...res.errors);
+        } else {
+          ast.push(...res);
+        }
+      }
+      if (opt.recover) return { ast, errors };
+      return ast;
+    },
+    validate,
+    merge,
+    walk,
+    types,
+    overloads,
+    exposure,
+    typeString: type_string,
+    definitionLabel: definition_label,
+    extendedAttributes,
+    builtinTypes
   };
 
   if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
@@ -1,18 +1,126 @@
 "use strict";
 
 (() => {
+  // Types of the whitespace and comment entries that the parser keeps in the
+  // AST with the `ws` option.
+  const wsRe = /^ws(-t?pea)?$/;
+  const commentRe = /^(line-comment|multiline-comment)(-t?pea)?$/;
+
+  function isTrivia(it) {
+    return wsRe.test(it.type) || commentRe.test(it.type);
+  }
+
+  // Names that are written with a leading underscore, as they would
+  // otherwise be read as keywords or lose their own leading underscore.
+  const keywords = new Set([
+    "async", "attribute", "callback", "const", "constructor", "deleter", "dictionary", "enum", "getter",
+    "implements", "includes", "inherit", "interface", "iterable", "legacyiterable", "maplike", "mixin",
+    "namespace", "partial", "readonly", "required", "setlike", "setter", "static", "stringifier", "typedef",
+    "unrestricted"
+  ]);
+
+  function escape(name) {
+    return name.startsWith("_") || keywords.has(name) ? `_${name}` : name;
+  }
+
+  function unescape(name) {
+    return name.startsWith("_") ? name.slice(1) : name;
+  }
+
   function write(ast, opt = {}) {
     let curPea = "";
     let curTPea = "";
     const noop = str => str;
-    const optNames = "type".split(" ");
+    const optNames = "type reference definitionName memberName argumentName extendedAttributeName string enumValue keyword text".split(" ");
+    // The nodes being written, innermost first
     const context = [];
     for (const o of optNames) {
       if (!opt[o]) opt[o] = noop;
     }
+    // Formatting state: the indentation unit and the nesting level of bodies
+    const indent = typeof opt.indent === "string" ? opt.indent : "  ";
+    const maxLineLength = 80;
+    let level = 0;
+    // The space written before the next token, unless the node has the
+    // trivia of that token from a lossless parse
+    let pending = "";
+    // The index of the next source token of each node of a lossless parse,
+    // and whether its trivia was given to a token missing from the source
+    const next = new Map();
+
+    function hook(name, str) {
+      return opt[name](str, context[0] || null, context.slice(1));
+    };
+    function text(str) {
+      const ret = pending ? hook("text", pending) : "";
+      pending = "";
+      return str ? ret + hook("text", str) : ret;
+    };
+    function space(str) {
+      pending = str;
+      return "";
+    };
+    // Takes |str| as the next token of the node being written, with the
+    // trivia before it and its text as written in the source. Source tokens
+    // before it that are not written anymore are skipped. A token missing
+    // from the source takes the trivia of the next one, which gets the
+    // default spacing instead.
+    function take(str) {
+      const node = context[0];
+      const tokens = !opt.format && node && node.tokens;
+      let ret = { trivia: pending, value: str };
+      if (tokens) {
+        const state = next.get(node) || { index: 0, borrowed: false };
+        let i = state.index;
+        while (i < tokens.length && unescape(tokens[i].value) !== unescape(str)) i++;
+        if (i < tokens.length) {
+          if (i > state.index || !state.borrowed) ret = tokens[i];
+          else ret = { trivia: pending, value: tokens[i].value };
+          next.set(node, { index: i + 1, borrowed: false });
+        } else if (state.index < tokens.length && !state.borrowed) {
+          ret = { trivia: tokens[state.index].trivia, value: str };
+          next.set(node, { index: state.index, borrowed: true });
+        }
+      }
+      pending = "";
+      return ret;
+    };
+    function token(str, name = "text") {
+      const { trivia, value } = take(str);
+      return (trivia ? hook("text", trivia) : "") + hook(name, value);
+    };
+    // Writes |str| if it is the next source token of the node being written,
+    // or for nodes without source tokens, if |fallback| is set.
+    function optional_token(str, fallback) {
+      const node = context[0];
+      const tokens = !opt.format && node && node.tokens;
+      if (!tokens) return fallback ? token(str) : "";
+      const tok = tokens[(next.get(node) || { index: 0 }).index];
+      return tok && tok.value === str ? token(str) : "";
+    };
+    function keyword(str) {
+      return token(str, "keyword");
+    };
+    function comma() {
+      return `${token(",")}${space(" ")}`;
+    };
+    function list(items, fn, separator) {
+      let ret = "";
+      items.forEach((item, i) => {
+        if (i) ret += separator();
+        ret += fn(item);
+      });
+      return ret;
+    };
+    function visit(it, fn) {
+      context.unshift(it);
+      const ret = fn(it);
+      context.shift();
+      return ret;
+    };
 
     function literal(it) {
-      return it.value;
+      return text(it.value);
     };
     function wsPea(it) {
       curPea += it.value;
@@ -23,198 +131,342 @@
       return "";
     };
     function lineComment(it) {
-      return `//${it.value}\n`;
+      return text(`//${it.value}\n`);
     };
     function multilineComment(it) {
-      return `/*${it.value}*/`;
+      return text(`/*${it.value}*/`);
     };
-    function type(it) {
-      if (typeof it === "string") return opt.type(it); // XXX should maintain some context
-      let ret = extended_attributes(it.extAttrs, curPea);
-      if (it.union) ret += `(${it.idlType.map(type).join(" or ")})`;
-      else {
-        if (it.generic) ret += `${it.generic}<`;
-        if (Array.isArray(it.idlType)) ret += it.idlType.map(type).join(", ");
-        else ret += type(it.idlType);
-        if (it.generic) ret += ">";
+    function eof() {
+      return text(take("").trivia);
+    };
+    // Types named with several keywords, such as `unsigned long`, are
+    // written as one name.
+    function type_name(name) {
+      const words = name.includes(" ") ? name.split(" ") : [escape(name)];
+      const { trivia, value } = take(words[0]);
+      let ret = value;
+      for (const word of words.slice(1)) {
+        space(" ");
+        const it = take(word);
+        ret += it.trivia + it.value;
       }
-      if (it.nullable) ret += "?";
+      return (trivia ? hook("text", trivia) : "") + hook("type", ret);
+    };
+    function type(it) {
+      if (typeof it === "string") return type_name(it);
+      return visit(it, () => {
+        let ret = extended_attributes(it.extAttrs, curPea);
+        if (it.union) {
+          const or = () => `${space(" ")}${keyword("or")}${space(" ")}`;
+          ret += `${token("(")}${list(it.idlType, type, or)}${token(")")}`;
+        }
+        else {
+          if (it.generic) ret += `${keyword(it.generic)}${token("<")}`;
+          if (Array.isArray(it.idlType)) ret += list(it.idlType, type, comma);
+          else ret += type(it.idlType);
+          if (it.generic) ret += token(">");
+        }
+        if (it.nullable) ret += token("?");
 
-      return ret;
+        return ret;
+      });
     };
     function const_value(it) {
-      const tp = it.type;
-      if (tp === "boolean") return it.value ? "true" : "false";
-      else if (tp === "null") return "null";
-      else if (tp === "Infinity") return (it.negative ? "-" : "") + "Infinity";
-      else if (tp === "NaN") return "NaN";
-      else if (tp === "number") return it.value;
-      else if (tp === "sequence") return "[]";
-      else return `"${it.value}"`;
+      return visit(it, () => {
+        const tp = it.type;
+        if (tp === "boolean") return keyword(it.value ? "true" : "false");
+        else if (tp === "null") return keyword("null");
+        else if (tp === "Infinity") return (it.negative ? token("-") : "") + keyword("Infinity");
+        else if (tp === "NaN") return keyword("NaN");
+        else if (tp === "number") return token(it.value);
+        else if (tp === "sequence") return `${token("[")}${token("]")}`;
+        else if (tp === "dictionary") return `${token("{")}${token("}")}`;
+        else return token(`"${it.value}"`, "string");
+      });
+    };
+    function default_value(it) {
+      return `${space(" ")}${token("=")}${space(" ")}${const_value(it)}`;
     };
     function argument(arg, pea) {
-      let ret = extended_attributes(arg.extAttrs, pea);
-      if (arg.optional) ret += "optional ";
-      ret += type(arg.idlType);
-      if (arg.variadic) ret += "...";
-      ret += ` ${arg.name}`;
-      if (arg["default"]) ret += ` = ${const_value(arg["default"])}`;
-      return ret;
+      return visit(arg, () => {
+        let ret = extended_attributes(arg.extAttrs, pea);
+        if (arg.optional) ret += `${keyword("optional")}${space(" ")}`;
+        ret += type(arg.idlType);
+        if (arg.variadic) ret += `${token(".")}${token(".")}${token(".")}`;
+        ret += `${space(" ")}${token(escape(arg.name), "argumentName")}`;
+        if (arg["default"]) ret += default_value(arg["default"]);
+        return ret;
+      });
     };
     function args(its) {
+      if (opt.format) {
+        return list(its.filter(arg => !isTrivia(arg)), arg => argument(arg, ""), comma);
+      }
       let res = "";
       let pea = "";
       for (let i = 0, n = its.length; i < n; i++) {
         const arg = its[i];
-        if (arg.type === "ws") res += arg.value;
+        if (arg.type === "ws") res += text(arg.value);
         else if (arg.type === "ws-pea") pea += arg.value;
         else {
           res += argument(arg, pea);
-          if (i < n - 1) res += ",";
+          if (i < n - 1) res += token(",");
           pea = "";
         }
       }
       return res;
     };
+    function rhs_value(it) {
+      if (it.type === "string") return token(it.value, "string");
+      if (it.type === "identifier") return token(escape(it.value), "reference");
+      return token(it.value);
+    };
     function make_ext_at(it) {
-      context.unshift(it);
-      let ret = it.name;
-      if (it.rhs) {
-        if (it.rhs.type === "identifier-list") ret += `=(${it.rhs.value.join(',')})`;
-        else ret += `=${it.rhs.value}`;
-      }
-      if (it.arguments) ret += `(${it["arguments"].length ? args(it["arguments"]) : ""})`;
-      context.shift(); // XXX need to add more contexts, but not more than needed for ReSpec
-      return ret;
+      return visit(it, () => {
+        let ret = token(it.name, "extendedAttributeName");
+        if (it.rhs) {
+          if (it.rhs.type === "identifier-list") {
+            const ids = () => list(it.rhs.value, id => token(escape(id), "reference"), () => token(","));
+            ret += `${token("=")}${token("(")}${ids()}${token(")")}`;
+          }
+          else ret += `${token("=")}${rhs_value(it.rhs)}`;
+        }
+        if (it.arguments) ret += `${token("(")}${it["arguments"].length ? args(it["arguments"]) : ""}${token(")")}`;
+        return ret;
+      });
+    };
+    function extended_attribute_list(eats) {
+      return `${token("[")}${list(eats, make_ext_at, comma)}${token("]")}`;
     };
     function extended_attributes(eats, pea) {
       if (!eats || !eats.length) return "";
-      return `[${eats.map(make_ext_at).join(", ")}]${pea}`;
+      return extended_attribute_list(eats) + text(opt.format ? " " : pea);
+    };
+    // When formatting, the extended attributes of a definition go on a line
+    // of their own.
+    function definition_extended_attributes(eats) {
+      const pea = curPea;
+      curPea = "";
+      if (!opt.format || level) return extended_attributes(eats, pea);
+      if (!eats || !eats.length) return "";
+      return extended_attribute_list(eats) + text("\n");
+    };
+    // Writes the trivia and definitions or members of a body, one per line,
+    // putting |separator| after each but the last definition or member.
+    // Whitespace is dropped, except that a blank line in the source is kept
+    // as one, and a line comment on the same line as a member stays there.
+    // At the top level, definitions are always separated by a blank line.
+    function block(things, separator = "") {
+      const prefix = indent.repeat(level);
+      const last = things.filter(thing => !isTrivia(thing)).pop();
+      const lines = [];
+      let blank = false;
+      let newline = true;
+      let prevComment = false;
+      for (const thing of things) {
+        if (wsRe.test(thing.type)) {
+          if (thing.value.includes("\n")) newline = true;
+          if (/\n[^\n]*\n/.test(thing.value)) blank = true;
+          continue;
+        }
+        const isComment = commentRe.test(thing.type);
+        if (isComment && !newline && !prevComment && thing.type.startsWith("line-comment")) {
+          lines[lines.length - 1] += visit(thing, () => text(` ${comment(thing)[0]}`));
+          newline = true;
+          continue;
+        }
+        if (lines.length && (blank || (!level && !prevComment))) lines.push("");
+        if (isComment) {
+          lines.push(...visit(thing, () => comment(thing).map(line => text(prefix + line))));
+        }
+        else {
+          lines.push(text(prefix) + dispatch(thing) + (thing === last ? "" : text(separator)));
+        }
+        blank = false;
+        // Line comments include the end of their line
+        newline = thing.type.startsWith("line-comment");
+        prevComment = isComment;
+      }
+      return lines.join(text("\n"));
+    };
+    function comment(it) {
+      if (it.type.startsWith("line-comment")) return [`//${it.value.replace(/\s+$/, "")}`];
+      const [first, ...rest] = `/*${it.value}*/`.split("\n");
+      // Aligns the stars of doc comments under the first one
+      return [first, ...rest.map(line => {
+        line = line.trim();
+        return line.startsWith("*") ? ` ${line}` : line;
+      })];
+    };
+    function body(members) {
+      if (!opt.format) return `${token("{")}${iterate(members)}${token("}")}${token(";")}`;
+      if (members.every(isTrivia)) return text("{};");
+      const open = text("{\n");
+      level++;
+      const ret = block(members);
+      level--;
+      return `${open}${ret}${text("\n};")}`;
     };
 
     const modifiers = "getter setter creator deleter legacycaller stringifier static".split(" ");
     function operation(it) {
       let ret = extended_attributes(it.extAttrs, curPea);
       curPea = "";
-      if (it.stringifier && !it.idlType) return "stringifier;";
+      if (it.stringifier && !it.idlType) return `${ret}${keyword("stringifier")}${token(";")}`;
       for (const mod of modifiers) {
-        if (it[mod]) ret += mod + " ";
+        if (it[mod]) ret += `${keyword(mod)}${space(" ")}`;
       }
-      ret += type(it.idlType) + " ";
-      if (it.name) ret += it.name;
-      ret += `(${args(it["arguments"])});`;
+      ret += `${type(it.idlType)}${space(" ")}`;
+      if (it.name) ret += token(escape(it.name), "memberName");
+      ret += `${token("(")}${args(it["arguments"])}${token(")")}${token(";")}`;
       return ret;
     };
 
+    function constructor_(it) {
+      const ret = extended_attributes(it.extAttrs, curPea);
+      curPea = "";
+      return `${ret}${keyword("constructor")}${token("(")}${args(it["arguments"])}${token(")")}${token(";")}`;
+    };
+
     function attribute(it) {
       let ret = extended_attributes(it.extAttrs, curPea);
       curPea = "";
-      if (it["static"]) ret += "static ";
-      if (it.stringifier) ret += "stringifier ";
-      if (it.readonly) ret += "readonly ";
-      if (it.inherit) ret += "inherit ";
-      ret += `attribute ${type(it.idlType)} ${it.name};`;
+      for (const mod of ["static", "stringifier", "readonly", "inherit"]) {
+        if (it[mod]) ret += `${keyword(mod)}${space(" ")}`;
+      }
+      ret += `${keyword("attribute")}${space(" ")}${type(it.idlType)}${space(" ")}` +
+        `${token(escape(it.name), "memberName")}${token(";")}`;
       return ret;
     };
 
+    // Writes the start of a definition: its extended attributes, then
+    // |keywords| and its name.
+    function definition_head(it, keywords) {
+      let ret = definition_extended_attributes(it.extAttrs);
+      if (it.partial) keywords = ["partial"].concat(keywords);
+      for (const word of keywords) ret += `${keyword(word)}${space(" ")}`;
+      return ret + token(escape(it.name), "definitionName");
+    };
+    function inheritance(it) {
+      if (!it.inheritance) return "";
+      return `${space(" ")}${token(":")}${space(" ")}${token(escape(it.inheritance), "reference")}`;
+    };
+
     function interface_(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      if (it.partial) ret += "partial ";
-      ret += `interface ${it.name} `;
-      if (it.inheritance) ret += `: ${it.inheritance} `;
-      ret += `{${iterate(it.members)}};`;
-      return ret;
+      return `${definition_head(it, ["interface"])}${inheritance(it)}${space(" ")}${body(it.members)}`;
     };
 
     function interface_mixin(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      if (it.partial) ret += "partial ";
-      ret += `interface mixin ${it.name} `;
-      ret += `{${iterate(it.members)}};`;
-      return ret;
+      return `${definition_head(it, ["interface", "mixin"])}${space(" ")}${body(it.members)}`;
     }
 
     function namespace(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      if (it.partial) ret += "partial ";
-      ret += `namespace ${it.name} `;
-      ret += `{${iterate(it.members)}};`;
-      return ret;
+      return `${definition_head(it, ["namespace"])}${space(" ")}${body(it.members)}`;
     }
 
     function dictionary(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      if (it.partial) ret += "partial ";
-      ret += `dictionary ${it.name} `;
-      if (it.inheritance) ret += `: ${it.inheritance} `;
-      ret += `{${iterate(it.members)}};`;
-      return ret;
+      return `${definition_head(it, ["dictionary"])}${inheritance(it)}${space(" ")}${body(it.members)}`;
     };
     function field(it) {
       let ret = extended_attributes(it.extAttrs, curPea);
       curPea = "";
-      if (it.required) ret += "required ";
-      ret += `${type(it.idlType)} ${it.name}`;
-      if (it["default"]) ret += ` = ${const_value(it["default"])}`;
-      ret += ";";
+      if (it.required) ret += `${keyword("required")}${space(" ")}`;
+      ret += `${type(it.idlType)}${space(" ")}${token(escape(it.name), "memberName")}`;
+      if (it["default"]) ret += default_value(it["default"]);
+      ret += token(";");
       return ret;
     };
     function const_(it) {
       const ret = extended_attributes(it.extAttrs, curPea);
       curPea = "";
-      return `${ret}const ${type(it.idlType)}${it.nullable ? "?" : ""} ${it.name} = ${const_value(it.value)};`;
+      return `${ret}${keyword("const")}${space(" ")}${type(it.idlType)}${it.nullable ? token("?") : ""}${space(" ")}` +
+        `${token(escape(it.name), "memberName")}${default_value(it.value)}${token(";")}`;
     };
     function typedef(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      ret += `typedef ${extended_attributes(it.typeExtAttrs, curTPea)}`;
+      let ret = definition_extended_attributes(it.extAttrs);
+      ret += `${keyword("typedef")}${space(" ")}${extended_attributes(it.typeExtAttrs, curTPea)}`;
       curTPea = "";
-      return `${ret}${type(it.idlType)} ${it.name};`;
+      return `${ret}${type(it.idlType)}${space(" ")}${token(escape(it.name), "definitionName")}${token(";")}`;
+    };
+    function statement(it, word, target) {
+      const ret = definition_extended_attributes(it.extAttrs);
+      return `${ret}${token(escape(it.target), "reference")}${space(" ")}${keyword(word)}${space(" ")}` +
+        `${token(escape(target), "reference")}${token(";")}`;
     };
     function implements_(it) {
-      const ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      return `${ret}${it.target} implements ${it["implements"]};`;
+      return statement(it, "implements", it["implements"]);
     };
     function includes(it) {
-      const ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      return `${ret}${it.target} includes ${it.includes};`;
+      return statement(it, "includes", it.includes);
     };
     function callback(it) {
-      const ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      return `${ret}callback ${it.name} = ${type(it.idlType)}(${args(it["arguments"])});`;
+      return `${definition_head(it, ["callback"])}${space(" ")}${token("=")}${space(" ")}${type(it.idlType)}` +
+        `${token("(")}${args(it["arguments"])}${token(")")}${token(";")}`;
     };
     function enum_(it) {
-      let ret = extended_attributes(it.extAttrs, curPea);
-      curPea = "";
-      ret += `enum ${it.name} {`;
+      let ret = `${definition_head(it, ["enum"])}${space(" ")}${token("{")}`;
+      if (opt.format) return `${ret}${enum_values(it)}${text("};")}`;
+      // The `ws` option keeps the commas as values
+      const commas = it.values.some(v => v.type === ",");
+      const strings = it.values.filter(v => v.type === "string");
       for (const v of it.values) {
-        if (v.type === "string") ret += `"${v.value}"`;
-        else if (v.type === "ws") ret += v.value;
-        else if (v.type === ",") ret += ",";
+        if (v.type === "string") {
+          ret += dispatch(v);
+          if (!commas) ret += visit(v, () => enum_comma(v, strings[strings.indexOf(v) + 1]));
+        }
+        else if (v.type === "ws") ret += text(v.value);
+        else if (v.type === ",") ret += token(",");
+      }
+      return `${ret}${token("}")}${token(";")}`;
+    };
+    // Fits the values on the line of the enum name if they are short enough
+    // and have no comments, otherwise writes them one per line.
+    function enum_values(it) {
+      const values = it.values.filter(v => v.type !== ",");
+      const strings = values.filter(v => v.type === "string");
+      if (!strings.length) return "";
+      const length = `enum ${it.name} { ${strings.map(v => `"${v.value}"`).join(", ")} };`.length;
+      if (!values.some(v => commentRe.test(v.type)) && length <= maxLineLength) {
+        return `${text(" ")}${strings.map(dispatch).join(text(", "))}${text(" ")}`;
       }
-      return ret + "};";
+      level++;
+      const ret = block(values, ",");
+      level--;
+      return `${text("\n")}${ret}${text("\n")}`;
+    };
+    // Writes the comma after the enum value |it| if it had one in the source,
+    // or if the value after it, |next|, has no source tokens.
+    function enum_comma(it, next) {
+      const comma = (it.tokens && it.tokens.some(tok => tok.value === ",")) || (next && !next.tokens);
+      return comma ? token(",") : "";
+    };
+    function enum_value(it) {
+      return token(`"${it.value}"`, "enumValue");
+    };
+    function declaration(it, keywords, types) {
+      let ret = extended_attributes(it.extAttrs, curPea);
+      curPea = "";
+      ret += `${list(keywords, keyword, () => space(" "))}${token("<")}${list(types, type, comma)}${token(">")}`;
+      if (it["arguments"]) ret += `${token("(")}${args(it["arguments"])}${token(")")}`;
+      return ret + token(";");
     };
     function iterable(it) {
-      return `iterable<${Array.isArray(it.idlType) ? it.idlType.map(type).join(", ") : type(it.idlType)}>;`;
+      return declaration(it, ["iterable"], Array.isArray(it.idlType) ? it.idlType : [it.idlType]);
+    };
+    function asyncIterable(it) {
+      return declaration(it, ["async", "iterable"], it.idlType);
     };
     function legacyiterable(it) {
-      return `legacyiterable<${Array.isArray(it.idlType) ? it.idlType.map(type).join(", ") : type(it.idlType)}>;`;
+      return declaration(it, ["legacyiterable"], Array.isArray(it.idlType) ? it.idlType : [it.idlType]);
     };
     function maplike(it) {
-      return `${it.readonly ? "readonly " : ""}maplike<${it.idlType.map(type).join(", ")}>;`;
+      return declaration(it, it.readonly ? ["readonly", "maplike"] : ["maplike"], it.idlType);
     };
     function setlike(it) {
-      return `${it.readonly ? "readonly " : ""}setlike<${type(it.idlType[0])}>;`;
+      return declaration(it, it.readonly ? ["readonly", "setlike"] : ["setlike"], [it.idlType[0]]);
     };
     function callbackInterface(it) {
-      return `callback ${interface_(it)}`;
+      return `${definition_head(it, ["callback", "interface"])}${inheritance(it)}${space(" ")}${body(it.members)}`;
     };
 
     const table = {
@@ -227,6 +479,7 @@
       "interface mixin": interface_mixin,
       namespace,
       operation,
+      constructor: constructor_,
       attribute,
       dictionary,
       field,
@@ -236,18 +489,21 @@
       includes,
       callback,
       enum: enum_,
+      string: enum_value,
       iterable,
+      "async iterable": asyncIterable,
       legacyiterable,
       maplike,
       setlike,
-      "callback interface": callbackInterface
+      "callback interface": callbackInterface,
+      eof
     };
     function dispatch(it) {
       const dispatcher = table[it.type];
       if (!dispatcher) {
         throw new Error(`Type "${it.type}" is unsupported`)
       }
-      return table[it.type](it);
+      return visit(it, dispatcher);
     };
     function iterate(things) {
       if (!things) return;
@@ -255,6 +511,7 @@
       for (const thing of things) ret += dispatch(thing);
       return ret;
     };
+    if (opt.format) return `${block(ast.filter(it => it.type !== "eof"))}${text("\n")}`;
     return iterate(ast);
   };
 
@@ -0,0 +1,151 @@
+"use strict";
+
+const { main } = require("../bin/webidl2");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const pth = require("path");
+const expect = require("expect");
+
+function run(...argv) {
+  const out = { stdout: "", stderr: "" };
+  out.code = main(argv, {
+    stdout: str => out.stdout += str,
+    stderr: str => out.stderr += str
+  });
+  return out;
+}
+
+describe("Runs the command line interface", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(pth.join(os.tmpdir(), "webidl2-"));
+    fs.mkdirSync(pth.join(dir, "sub"));
+    fs.writeFileSync(pth.join(dir, "base.webidl"), "interface Base {};\n");
+    fs.writeFileSync(pth.join(dir, "sub", "derived.webidl"), "interface Derived : Base {};\n");
+    fs.writeFileSync(pth.join(dir, "broken.widl"), "\ninterface Broken : Missing { attribute; };\n");
+  });
+  after(() => {
+    for (const file of ["base.webidl", "sub/derived.webidl", "broken.widl"]) {
+      fs.unlinkSync(pth.join(dir, file));
+    }
+    fs.rmdirSync(pth.join(dir, "sub"));
+    fs.rmdirSync(dir);
+  });
+
+  it("should print the AST of files matching a glob", () => {
+    const { code, stdout } = run("parse", pth.join(dir, "**/*.webidl"));
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).map(def => [def.name, pth.relative(dir, def.sourceName)])).toEqual([
+      ["Base", "base.webidl"],
+      ["Derived", pth.join("sub", "derived.webidl")]
+    ]);
+  });
+
+  it("should check files together", () => {
+    const { code, stderr } = run("check", pth.join(dir, "base.webidl"), pth.join(dir, "sub", "*.webidl"));
+    expect(code).toBe(0);
+    expect(stderr).toBe("");
+  });
+
+  it("should report every problem and exit with 1", () => {
+    const file = pth.join(dir, "broken.widl");
+    const { code, stderr } = run("check", file);
+    expect(code).toBe(1);
+    expect(stderr.split("\n")).toEqual([
+      `${file}:2:39: Got an error during or right after parsing \`interface Broken\`: No type in attribute (no-attribute-type)`,
+      `${file}:2:1: In \`interface Broken\`: Inherits from \`Missing\`, which is not defined (unknown-inheritance)`,
+      "2 problems found",
+      ""
+    ]);
+  });
+
+  it("should accept the extended attributes of the configuration", () => {
+    const file = pth.join(dir, "proprietary.webidl");
+    const config = pth.join(dir, "check.json");
+    fs.writeFileSync(file, "[Exposed=Window, BrowserOnly] interface Proprietary {};\n");
+    try {
+      expect(run("check", file).stderr.split("\n")).toEqual([
+        `${file}:1:18: In \`interface Proprietary\`: Unknown extended attribute \`[BrowserOnly]\` (unknown-extended-attribute)`,
+        "1 problem found",
+        ""
+      ]);
+      fs.writeFileSync(config, JSON.stringify({ extendedAttributes: { BrowserOnly: { shapes: ["no-args"], placements: ["interface"] } } }));
+      expect(run("check", `--config=${config}`, file)).toEqual({ code: 0, stdout: "", stderr: "" });
+      fs.writeFileSync(config, JSON.stringify({ extendedAttributes: { BrowserOnly: true } }));
+      expect(run("check", `--config=${config}`, file).code).toBe(2);
+    } finally {
+      fs.unlinkSync(file);
+      fs.unlinkSync(config);
+    }
+  });
+
+  it("should report syntax errors of the parse command", () => {
+    const file = pth.join(dir, "broken.widl");
+    const { code, stdout, stderr } = run("parse", file);
+    expect(code).toBe(1);
+    expect(stdout).toBe("");
+    expect(stderr).toBe(`${file}:2:39: Got an error during or right after parsing \`interface Broken\`: No type in attribute (no-attribute-type)\n`);
+  });
+
+  it("should reject legacy syntax with --strict", () => {
+    const file = pth.join(dir, "base.webidl");
+    expect(run("check", "--strict", file).code).toBe(0);
+    const legacy = pth.join(dir, "legacy.webidl");
+    fs.writeFileSync(legacy, "[NoInterfaceObject] interface Legacy {};\n");
+    try {
+      expect(run("check", legacy).code).toBe(0);
+      expect(run("check", "--strict", legacy).stderr).toMatch(/`\[LegacyNoInterfaceObject\]` instead/);
+    } finally {
+      fs.unlinkSync(legacy);
+    }
+  });
+
+  it("should lint files and fix them", () => {
+    const file = pth.join(dir, "lint.webidl");
+    const config = pth.join(dir, "lint.json");
+    fs.writeFileSync(file, "[Exposed=Window]\ninterface Lint {\n  // Comment\n  legacyiterable<long>;\n};\nenum Mode { \"a\", \"a\" };\n");
+    fs.writeFileSync(config, JSON.stringify({ rules: { "no-legacyiterable": "error", "enum-value-case": "off" } }));
+    try {
+      const result = run("lint", `--config=${config}`, file);
+      expect(result.code).toBe(1);
+      expect(result.stderr.split("\n")).toEqual([
+        `${file}:4:3: error: In \`interface Lint\`: \`legacyiterable\` declarations are deprecated, use \`iterable\` instead (no-legacyiterable)`,
+        `${file}:6:18: error: In \`enum Mode\`: The value "a" is listed more than once (no-duplicate-enum-values)`,
+        "2 problems found, 2 errors",
+        ""
+      ]);
+      expect(run("lint", "--fix", file)).toEqual({ code: 0, stdout: "", stderr: "" });
+      expect(fs.readFileSync(file, "utf8")).toBe("[Exposed=Window]\ninterface Lint {\n  // Comment\n  iterable<long>;\n};\nenum Mode { \"a\" };\n");
+      fs.writeFileSync(config, JSON.stringify({ rules: { "no-legacyiterable": "fatal" } }));
+      expect(run("lint", `--config=${config}`, file).code).toBe(2);
+      fs.writeFileSync(config, "{ rules: {} }");
+      const invalid = run("lint", `--config=${config}`, file);
+      expect(invalid.code).toBe(2);
+      expect(invalid.stderr.startsWith(`${config}: `)).toBe(true);
+      for (const json of ["[]", "null", '{ "rules": ["no-implements"] }']) {
+        fs.writeFileSync(config, json);
+        expect(run("lint", `--config=${config}`, file).code).toBe(2);
+      }
+    } finally {
+      fs.unlinkSync(file);
+      fs.unlinkSync(config);
+    }
+  });
+
+  it("should reject unknown commands, options and files", () => {
+    expect(run("compile").code).toBe(2);
+    expect(run("parse", "--frobnicate").code).toBe(2);
+    expect(run("parse", pth.join(dir, "*.idl")).stderr).toMatch(/^No files match /);
+    expect(run("parse", pth.join(dir, "missing.webidl")).code).toBe(2);
+  });
+
+  it("should read the standard input", () => {
+    const result = spawnSync(process.execPath, [pth.join(__dirname, "../bin/webidl2.js"), "format"], {
+      input: "interface Foo {\n  attribute long bar;\n};\n",
+      encoding: "utf8"
+    });
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe("interface Foo {\n  attribute long bar;\n};\n");
+  });
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const { diff } = require("../lib/diff");
+const expect = require("expect");
+
+function changes(before, after) {
+  return diff(wp.parse(before), wp.parse(after)).map(change => `${change.breaking ? "breaking" : "compatible"} ${change.code}`);
+}
+
+describe("Diffs two versions of the IDL", () => {
+  it("should find no changes between equivalent documents", () => {
+    const idl = "interface Foo { attribute long a; }; partial interface Foo { void f(); };";
+    expect(changes(idl, idl)).toEqual([]);
+    expect(changes(idl, "interface Foo { void f(); attribute long a; };")).toEqual([]);
+  });
+
+  it("should compare bare stringifiers", () => {
+    const idl = "interface Foo { stringifier; };";
+    expect(changes(idl, idl)).toEqual([]);
+    expect(changes(idl, "interface Foo { stringifier DOMString (); };")).toEqual([]);
+    expect(changes(idl, "interface Foo { stringifier DOMString (long a); };")).toEqual(["breaking argument-added"]);
+  });
+
+  it("should report added and removed definitions", () => {
+    expect(changes("interface A {}; interface B {};", "interface B {}; dictionary C {};")).toEqual([
+      "breaking definition-removed",
+      "compatible definition-added"
+    ]);
+    expect(changes("interface A {};", "dictionary A {};")).toEqual(["breaking definition-kind-changed"]);
+  });
+
+  it("should classify attribute changes", () => {
+    expect(changes(
+      "interface A { readonly attribute long a; attribute long b; readonly attribute long c; attribute long d; };",
+      "interface A { attribute long a; readonly attribute long b; readonly attribute long? c; attribute long e; };"
+    )).toEqual([
+      "compatible readonly-removed",
+      "breaking readonly-added",
+      "breaking type-changed",
+      "breaking member-removed",
+      "compatible member-added"
+    ]);
+  });
+
+  it("should classify argument changes", () => {
+    expect(changes(
+      "interface A { void f(long a, optional long b, DOMString c); };",
+      "interface A { void f(optional long a, long b, (DOMString or long)? d, optional long e); };"
+    )).toEqual([
+      "compatible argument-optional",
+      "breaking argument-required",
+      "compatible argument-renamed",
+      "compatible type-changed",
+      "compatible argument-added"
+    ]);
+    expect(changes("interface A { void f(DOMString? a); };", "interface A { void f(DOMString a, long b); };")).toEqual([
+      "breaking type-changed",
+      "breaking argument-added"
+    ]);
+  });
+
+  it("should reverse the direction of types passed to callbacks", () => {
+    expect(changes(
+      "callback C = long (long a);",
+      "callback C = long? (long? a, long b);"
+    )).toEqual([
+      "compatible type-changed",
+      "breaking type-changed",
+      "compatible argument-added"
+    ]);
+  });
+
+  it("should compare overloads and constructors", () => {
+    expect(changes(
+      "[Constructor, Constructor(long a)] interface A { void f(long a); void f(DOMString a); };",
+      "[Constructor(long a)] interface A { void f(long a); void f(DOMString a); void f(); };"
+    )).toEqual([
+      "breaking overload-removed",
+      "compatible overload-added"
+    ]);
+    expect(changes(
+      "[Constructor(long a)] interface A {};",
+      "interface A { constructor(long a); constructor(); };"
+    )).toEqual(["compatible overload-added"]);
+  });
+
+  it("should classify dictionary fields and enum values", () => {
+    expect(changes(
+      'dictionary D { long a; required long b; long c = 1; }; enum E { "x", "y" };',
+      'dictionary D { required long a; long b; long c = 2; required long d; long e; }; enum E { "x", "z" };'
+    )).toEqual([
+      "breaking field-required",
+      "compatible field-optional",
+      "breaking default-changed",
+      "breaking member-added",
+      "compatible member-added",
+      "breaking enum-value-removed",
+      "compatible enum-value-added"
+    ]);
+    expect(changes("dictionary D { I i = {}; }; dictionary I {};", "dictionary D { I i; }; dictionary I {};")).toEqual([
+      "breaking default-changed"
+    ]);
+  });
+
+  it("should describe the changes", () => {
+    const [change] = diff(
+      wp.parse("interface A { attribute DOMString name; };"),
+      wp.parse("interface A { attribute DOMString? name; };")
+    );
+    expect(change.message).toBe("In `interface A`: The type of the attribute `name` changed from `DOMString` to `DOMString?`");
+    expect(change.old.idlType).toBe("DOMString");
+    expect(change.new.nullable).toBe(true);
+  });
+});
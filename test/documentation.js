@@ -0,0 +1,64 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+const idl = `// License
+// text
+
+/**
+ * An interface.
+ *
+ *   Indented.
+ */
+[Exposed=Window]
+interface Foo {
+  // The first line.
+  // The second line.
+  attribute long bar; // Not about the next member
+  void f(/** The first */ long a, // Not about b
+    // The second
+    long b);
+  /* Not documentation */
+  const long C = 1;
+};
+
+/** Speeds */
+enum E {
+  /** Quick */ "fast",
+  "slow"
+};
+/** A dictionary */ dictionary D {
+  /** A field */
+  long m;
+};
+`;
+
+describe("Attaches documentation comments when requested", () => {
+  const ast = wp.parse(idl, { documentation: true });
+  const [iface, enum_, dict] = ast;
+  const [attr, op, cnst] = iface.members;
+
+  it("should not add documentation by default", () => {
+    expect(wp.parse(idl)[0].documentation).toBe(undefined);
+  });
+
+  it("should strip the comment markers", () => {
+    expect(iface.documentation).toBe("An interface.\n\n  Indented.");
+    expect(attr.documentation).toBe("The first line.\nThe second line.");
+  });
+
+  it("should attach comments to members, arguments and enum values", () => {
+    expect(op.arguments.map(arg => arg.documentation)).toEqual(["The first", "The second"]);
+    expect(enum_.documentation).toBe("Speeds");
+    expect(enum_.values.map(v => v.documentation)).toEqual(["Quick", undefined]);
+    expect(dict.documentation).toBe("A dictionary");
+    expect(dict.members[0].documentation).toBe("A field");
+  });
+
+  it("should skip trailing and plain comments, and comments before a blank line", () => {
+    expect(op.documentation).toBe(undefined);
+    expect(cnst.documentation).toBe(undefined);
+    expect(wp.parse("// Licence\n\ninterface X {};", { documentation: true })[0].documentation).toBe(undefined);
+  });
+});
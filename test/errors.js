@@ -0,0 +1,74 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+describe("Describes parse errors", () => {
+  const fail = (idl, opt) => {
+    try {
+      wp.parse(idl, opt);
+    } catch (e) {
+      return e;
+    }
+    throw new Error("No error was thrown");
+  };
+  const at = (idl, str, length = str.length) => {
+    const position = offset => {
+      const lines = idl.slice(0, offset).split("\n");
+      return { line: lines.length, column: lines[lines.length - 1].length + 1, offset };
+    };
+    const offset = idl.indexOf(str);
+    return { start: position(offset), end: position(offset + length) };
+  };
+
+  it("should give the tokens that were expected", () => {
+    const idl = "interface Foo {\n  attribute long x\n};";
+    const e = fail(idl);
+    expect(e.code).toBe("no-semicolon-after-attribute");
+    expect(e.expected).toEqual([{ type: "other", value: ";" }]);
+    expect(e.range).toEqual(at(idl, "}", 1));
+    const types = fail("typedef sequence<long;").expected;
+    expect(types).toContainEqual({ type: "other", value: ">" });
+    expect(fail("enum E { 1 };").expected).toContainEqual({ type: "string" });
+  });
+
+  it("should cover the construct of semantic errors", () => {
+    const idl = "dictionary D {\n  required long x = 1;\n};";
+    const e = fail(idl);
+    expect(e.code).toBe("required-with-default");
+    expect(e.expected).toEqual([]);
+    expect(e.range).toEqual(at(idl, "required long x = 1"));
+    expect(e.suggestion).toBe(null);
+    expect(fail("interface A {}; interface A {};").code).toBe("duplicate-name");
+    expect(fail("typedef record<long, long> R;").range).toEqual(at("typedef record<long, long> R;", "record<long, long"));
+  });
+
+  it("should suggest keywords close to misspelled ones", () => {
+    const definition = fail("interfce Foo {};").suggestion;
+    expect(definition).toEqual({ message: "Did you mean `interface`?", range: at("interfce Foo {};", "interfce"), replacement: "interface" });
+    const idl = "interface Foo {\n  attribte long x;\n};";
+    const member = fail(idl).suggestion;
+    expect(member.replacement).toBe("attribute");
+    expect(member.range).toEqual(at(idl, "attribte"));
+    expect(fail("dictionary D { requird long x; };").suggestion.replacement).toBe("required");
+    expect(fail("interface Foo { unsigend long f(); };").suggestion.replacement).toBe("unsigned");
+  });
+
+  it("should suggest a missing semicolon", () => {
+    const idl = "enum E { \"a\" }\ninterface Foo {};";
+    const e = fail(idl);
+    expect(e.code).toBe("no-semicolon-after-enum");
+    expect(e.suggestion.replacement).toBe(";");
+    const end = at(idl, "}", 1).end;
+    expect(e.suggestion.range).toEqual({ start: end, end });
+  });
+
+  it("should suggest replacements for legacy syntax", () => {
+    const idl = "[TreatNullAs=EmptyString] interface A { void f(); };";
+    const { errors } = wp.parse(idl, { profile: "strict", recover: true });
+    expect(errors.map(e => e.code)).toEqual(["legacy-extended-attribute", "legacy-void"]);
+    expect(errors.map(e => e.suggestion.replacement)).toEqual(["LegacyNullToEmptyString", "undefined"]);
+    expect(errors[0].suggestion.range).toEqual(at(idl, "TreatNullAs=EmptyString"));
+    expect(fail("Foo implements Bar;", { profile: "strict" }).suggestion).toBe(null);
+  });
+});
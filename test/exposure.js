@@ -0,0 +1,107 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+const globals = `
+  [Global=Window, Exposed=Window] interface Window {};
+  [Global=(Worker,DedicatedWorker), Exposed=DedicatedWorker] interface DedicatedWorkerGlobalScope {};
+  [Global=(Worker,SharedWorker), Exposed=SharedWorker] interface SharedWorkerGlobalScope {};
+`;
+
+function exposure(idl, opt) {
+  const result = wp.exposure(wp.parse(idl), opt);
+  const byName = {};
+  for (const [node, info] of result.exposure) {
+    byName[node.name] = `${info.globals.join(" ")}${info.secureContext ? " (secure)" : ""}`;
+  }
+  return Object.assign(result, { byName });
+}
+
+describe("Computes exposure sets", () => {
+  it("should resolve global names to global interfaces", () => {
+    const { byName, diagnostics } = exposure(`${globals}
+      [Exposed=(Window,Worker)] interface Foo {};
+      [Exposed=SharedWorker] namespace Bar {};
+    `);
+    expect(byName.Foo).toBe("DedicatedWorkerGlobalScope SharedWorkerGlobalScope Window");
+    expect(byName.Bar).toBe("SharedWorkerGlobalScope");
+    expect(diagnostics).toEqual([]);
+  });
+
+  it("should apply the exposure of interfaces, partials and mixins to members", () => {
+    const { byName } = exposure(`${globals}
+      [Exposed=(Window,Worker)] interface Foo {
+        attribute long inherited;
+        [Exposed=Window] attribute long own;
+      };
+      [Exposed=Worker] partial interface Foo { attribute long partialMember; };
+      [Exposed=(Window,SharedWorker)] interface mixin M { attribute long mixinMember; };
+      Foo includes M;
+    `);
+    expect(byName.inherited).toBe("DedicatedWorkerGlobalScope SharedWorkerGlobalScope Window");
+    expect(byName.own).toBe("Window");
+    expect(byName.partialMember).toBe("DedicatedWorkerGlobalScope SharedWorkerGlobalScope");
+    expect(byName.mixinMember).toBe("SharedWorkerGlobalScope Window");
+  });
+
+  it("should expose mixins without [Exposed] where their interfaces are", () => {
+    const { byName } = exposure(`${globals}
+      [Exposed=Window] interface A {};
+      [Exposed=DedicatedWorker] interface B {};
+      interface mixin M { void m(); };
+      A includes M;
+      B includes M;
+    `);
+    expect(byName.M).toBe("DedicatedWorkerGlobalScope Window");
+  });
+
+  it("should apply [SecureContext]", () => {
+    const { byName } = exposure(`${globals}
+      [Exposed=Window, SecureContext] interface A { attribute long a; };
+      [Exposed=Window] interface B { [SecureContext] attribute long b; attribute long c; };
+      [SecureContext] partial interface B { attribute long d; };
+    `);
+    expect([byName.A, byName.a, byName.B, byName.b, byName.c, byName.d]).toEqual([
+      "Window (secure)", "Window (secure)", "Window", "Window (secure)", "Window", "Window (secure)"
+    ]);
+  });
+
+  it("should default to the primary global and accept globals as an option", () => {
+    expect(exposure("interface A {};").byName.A).toBe("Window");
+    const { byName } = exposure("[Exposed=Worker] interface A {}; interface B {};", {
+      globals: { WorkerGlobalScope: ["Worker"], Window: ["Window"] }
+    });
+    expect(byName.A).toBe("WorkerGlobalScope");
+    expect(byName.B).toBe("Window");
+  });
+
+  it("should report unknown globals and exposure outside of the parent's", () => {
+    const { diagnostics } = exposure(`${globals}
+      [Exposed=Window] interface A { [Exposed=(Window,Worker)] void f(); };
+      [Exposed=Wndow] interface B {};
+      [Exposed=(Window,Worker)] interface C : A {};
+    `);
+    expect(diagnostics.map(d => d.message)).toEqual([
+      "In `interface A`: The operation `f` is exposed where `A` is not",
+      "In `interface B`: No global interface has the name `Wndow`",
+      "In `interface C`: Exposed where the inherited `A` is not"
+    ]);
+  });
+
+  it("should filter the AST down to one global", () => {
+    const { filter } = exposure(`${globals}
+      [Exposed=(Window,Worker)] interface Foo {
+        [Exposed=Window] attribute long windowOnly;
+        [SecureContext] attribute long secure;
+        attribute long everywhere;
+      };
+      [Exposed=Window] interface Bar {};
+      dictionary D {};
+    `);
+    const names = ast => ast.map(def => def.members && def.members.length ? `${def.name}(${def.members.map(m => m.name)})` : def.name);
+    expect(names(filter("DedicatedWorker"))).toEqual(["DedicatedWorkerGlobalScope", "Foo(secure,everywhere)", "D"]);
+    expect(names(filter("Window", { secureContext: false }))).toEqual(["Window", "Foo(windowOnly,everywhere)", "Bar", "D"]);
+    expect(names(filter("SharedWorkerGlobalScope"))).toEqual(["SharedWorkerGlobalScope", "Foo(secure,everywhere)", "D"]);
+  });
+});
@@ -13,6 +13,7 @@ describe("Parses all of the invalid IDLs to check that they blow up correctly",
     it(`should produce the right error for ${test.path}`, () => {
       const err = test.readJSON();
       expect(test.error).toBeTruthy();
+      expect(test.error.code).toEqual(err.code);
       expect(test.error.message).toEqual(err.message);
       expect(test.error.line).toEqual(err.line);
     });
@@ -0,0 +1,60 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const jsonSchema = require("../lib/json-schema");
+const expect = require("expect");
+
+describe("Generates JSON Schemas for dictionaries and enums", () => {
+  const { $schema, definitions } = jsonSchema.generate(wp.parse(`
+    enum Mode { "open", "closed" };
+    typedef (DOMString or sequence<octet>) Data;
+    dictionary Base { boolean flag = false; };
+    dictionary Options : Base {
+      required Mode mode;
+      Data? data = null;
+      record<USVString, double> weights;
+      unsigned long count = 0x10;
+      DOMString label = "none";
+      sequence<Base> children = [];
+      double ratio = Infinity;
+      Node node;
+      Base base = {};
+    };
+    partial dictionary Options { long long big; };
+    interface Node {};
+  `));
+
+  it("should return a schema document with a definition per dictionary and enum", () => {
+    expect($schema).toBe("http://json-schema.org/draft-07/schema#");
+    expect(Object.keys(definitions)).toEqual(["Mode", "Base", "Options"]);
+    expect(definitions.Mode).toEqual({ type: "string", "enum": ["open", "closed"] });
+  });
+
+  it("should extend inherited dictionaries and list required members", () => {
+    expect(definitions.Base).toEqual({ type: "object", properties: { flag: { type: "boolean", "default": false } } });
+    const [base, own] = definitions.Options.allOf;
+    expect(base).toEqual({ $ref: "#/definitions/Base" });
+    expect(own.required).toEqual(["mode"]);
+    expect(Object.keys(own.properties)).toEqual(["mode", "data", "weights", "count", "label", "children", "ratio", "node", "base", "big"]);
+  });
+
+  it("should convert member types and default values", () => {
+    const { properties } = definitions.Options.allOf[1];
+    expect(properties.mode).toEqual({ $ref: "#/definitions/Mode" });
+    expect(properties.data).toEqual({
+      anyOf: [
+        { anyOf: [{ type: "string" }, { type: "array", items: { type: "integer", minimum: 0, maximum: 255 } }] },
+        { type: "null" }
+      ],
+      "default": null
+    });
+    expect(properties.weights).toEqual({ type: "object", additionalProperties: { type: "number" } });
+    expect(properties.count).toEqual({ type: "integer", minimum: 0, maximum: 4294967295, "default": 16 });
+    expect(properties.label).toEqual({ type: "string", "default": "none" });
+    expect(properties.children).toEqual({ type: "array", items: { $ref: "#/definitions/Base" }, "default": [] });
+    expect(properties.ratio).toEqual({ type: "number" });
+    expect(properties.node).toEqual({});
+    expect(properties.base).toEqual({ $ref: "#/definitions/Base", "default": {} });
+    expect(properties.big).toEqual({ type: "integer", minimum: -9007199254740991, maximum: 9007199254740991 });
+  });
+});
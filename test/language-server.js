@@ -0,0 +1,165 @@
+"use strict";
+
+const { createServer } = require("../lib/language-server");
+const { connect } = require("../bin/webidl2-language-server");
+const { PassThrough } = require("stream");
+const expect = require("expect");
+
+const dom = `/** The base of all nodes. */
+[Exposed=Window]
+interface Node {
+  readonly attribute Node? parentNode;
+};
+`;
+const html = `interface Element : Node {
+  attribute [Clamp] long width;
+};
+partial interface Node { Element? closest(); };
+interface mixin Slotted {};
+Element includes Slotted;
+enum Mode { "open", "closed" };
+`;
+
+function position(text, needle, delta = 0) {
+  const offset = text.indexOf(needle) + delta;
+  const lines = text.slice(0, offset).split("\n");
+  return { line: lines.length - 1, character: lines[lines.length - 1].length };
+}
+
+describe("Serves WebIDL documents with the Language Server Protocol", () => {
+  let sent;
+  let server;
+  let id = 0;
+  function request(method, params) {
+    sent = [];
+    server.handle({ jsonrpc: "2.0", id: ++id, method, params });
+    expect(sent.length).toBe(1);
+    return sent[0].result;
+  }
+  function notify(method, params) {
+    sent = [];
+    server.handle({ jsonrpc: "2.0", method, params });
+    return sent;
+  }
+  function at(uri, text, needle, delta) {
+    return { textDocument: { uri }, position: position(text, needle, delta) };
+  }
+
+  beforeEach(() => {
+    server = createServer(message => sent.push(message));
+    request("initialize", { capabilities: {} });
+    notify("textDocument/didOpen", { textDocument: { uri: "file:///dom.webidl", text: dom } });
+    notify("textDocument/didOpen", { textDocument: { uri: "file:///html.webidl", text: html } });
+  });
+
+  it("should announce its capabilities", () => {
+    const { capabilities } = request("initialize", { capabilities: {} });
+    expect(capabilities.definitionProvider).toBe(true);
+    expect(capabilities.documentFormattingProvider).toBe(true);
+  });
+
+  it("should publish diagnostics for syntax errors", () => {
+    const text = "interface A {\n  attribute;\n};\n";
+    const [message] = notify("textDocument/didChange", {
+      textDocument: { uri: "file:///dom.webidl" },
+      contentChanges: [{ text }]
+    });
+    expect(message.method).toBe("textDocument/publishDiagnostics");
+    expect(message.params.uri).toBe("file:///dom.webidl");
+    expect(message.params.diagnostics.length).toBe(1);
+    expect(message.params.diagnostics[0].range.start).toEqual({ line: 1, character: 11 });
+    expect(message.params.diagnostics[0].message).toMatch("No type in attribute");
+    expect(message.params.diagnostics[0].code).toBe("no-attribute-type");
+    const [closed] = notify("textDocument/didClose", { textDocument: { uri: "file:///dom.webidl" } });
+    expect(closed.params.diagnostics).toEqual([]);
+  });
+
+  it("should go to definitions across documents", () => {
+    expect(request("textDocument/definition", at("file:///html.webidl", html, ": Node", 3))).toEqual([{
+      uri: "file:///dom.webidl",
+      range: { start: { line: 1, character: 0 }, end: { line: 4, character: 2 } }
+    }]);
+    const [mixin] = request("textDocument/definition", at("file:///html.webidl", html, "includes Slotted", 10));
+    expect(mixin.range.start).toEqual({ line: 4, character: 0 });
+    expect(request("textDocument/definition", at("file:///html.webidl", html, "attribute"))).toBe(null);
+  });
+
+  it("should find references, with or without the declaration", () => {
+    const params = at("file:///dom.webidl", dom, "Node?");
+    const refs = request("textDocument/references", Object.assign({ context: { includeDeclaration: false } }, params));
+    expect(refs.map(ref => [ref.uri, ref.range.start.line])).toEqual([
+      ["file:///dom.webidl", 3],
+      ["file:///html.webidl", 0]
+    ]);
+    params.context = { includeDeclaration: true };
+    expect(request("textDocument/references", params).length).toBe(4);
+  });
+
+  it("should show the definitions and their documentation on hover", () => {
+    const { contents } = request("textDocument/hover", at("file:///html.webidl", html, "Node {"));
+    expect(contents.kind).toBe("markdown");
+    expect(contents.value).toMatch(/^```webidl\n\[Exposed=Window\]\ninterface Node \{[^]*\n```\n\nThe base of all nodes\./);
+    expect(contents.value).toMatch("partial interface Node { Element? closest(); };");
+  });
+
+  it("should complete type and extended attribute names", () => {
+    const labels = request("textDocument/completion", at("file:///html.webidl", html, "Clamp]", 2)).map(it => it.label);
+    expect(labels).toContain("Clamp");
+    expect(labels).not.toContain("Node");
+    const types = request("textDocument/completion", at("file:///html.webidl", html, "Element? closest"));
+    expect(types.map(it => it.label)).toContain("Node");
+    expect(types.map(it => it.label)).toContain("unsigned long");
+    expect(types.find(it => it.label === "Mode")).toEqual({ label: "Mode", kind: 13, detail: "enum" });
+  });
+
+  it("should list the symbols of a document", () => {
+    const symbols = request("textDocument/documentSymbol", { textDocument: { uri: "file:///html.webidl" } });
+    expect(symbols.map(it => [it.name, it.kind, it.children.map(child => child.name)])).toEqual([
+      ["Element", 11, ["width"]],
+      ["Node", 11, ["closest"]],
+      ["Slotted", 11, []],
+      ["Mode", 10, ["open", "closed"]]
+    ]);
+  });
+
+  it("should format documents with the writer", () => {
+    notify("textDocument/didOpen", { textDocument: { uri: "file:///a.webidl", text: "interface A{attribute long a;};" } });
+    expect(request("textDocument/formatting", { textDocument: { uri: "file:///a.webidl" }, options: {} })).toEqual([{
+      range: { start: { line: 0, character: 0 }, end: { line: 0, character: 31 } },
+      newText: "interface A {\n  attribute long a;\n};\n"
+    }]);
+    expect(request("textDocument/formatting", { textDocument: { uri: "file:///dom.webidl" }, options: {} })).toEqual([]);
+  });
+
+  it("should reject unknown methods and exit after shutdown", () => {
+    sent = [];
+    server.handle({ jsonrpc: "2.0", id: 1, method: "workspace/unknown" });
+    expect(sent[0].error.code).toBe(-32601);
+    const codes = [];
+    server = createServer(() => {}, code => codes.push(code));
+    server.handle({ jsonrpc: "2.0", method: "exit" });
+    server.handle({ jsonrpc: "2.0", id: 1, method: "shutdown" });
+    server.handle({ jsonrpc: "2.0", method: "exit" });
+    expect(codes).toEqual([1, 0]);
+  });
+
+  it("should exchange framed messages over streams", done => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    connect(input, output, () => {});
+    let received = "";
+    output.on("data", chunk => {
+      received += chunk.toString("utf8");
+      const match = /^Content-Length: (\d+)\r\n\r\n/.exec(received);
+      if (!match || received.length < match[0].length + Number(match[1])) return;
+      const message = JSON.parse(received.slice(match[0].length));
+      expect(message.id).toBe(7);
+      expect(message.result.capabilities.hoverProvider).toBe(true);
+      done();
+    });
+    const body = JSON.stringify({ jsonrpc: "2.0", id: 7, method: "initialize", params: {} });
+    const framed = `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    input.write(framed.slice(0, 10));
+    input.write(framed.slice(10));
+  });
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const writer = require("../lib/writer");
+const { lint, rules } = require("../lib/lint");
+const expect = require("expect");
+
+describe("Lints ASTs", () => {
+  const only = rule => {
+    const ret = {};
+    for (const name of Object.keys(rules)) ret[name] = name === rule ? "error" : "off";
+    return ret;
+  };
+  const messages = (idl, rule) => lint(wp.parse(idl), { rules: only(rule) }).map(problem => problem.message);
+  const fix = (idl, rule) => {
+    const ast = wp.parse(idl, { lossless: true });
+    const problems = lint(ast, { rules: rule && only(rule), fix: true });
+    return { text: writer.write(ast), problems: problems.map(problem => problem.rule) };
+  };
+
+  it("should check the case of names", () => {
+    expect(messages("interface my_thing {}; dictionary HTMLInit {}; partial interface my_thing {};", "definition-name-case")).toEqual([
+      "In `interface my_thing`: The name `my_thing` should be PascalCase"
+    ]);
+    expect(messages("interface A { attribute long Foo; void go(); const long MAX = 1; }; dictionary D { long a_b; };", "member-name-case")).toEqual([
+      "In `interface A`: The name `Foo` should be camelCase",
+      "In `dictionary D`: The name `a_b` should be camelCase"
+    ]);
+    expect(messages('enum E { "", "2d", "two-words", "TwoWords", "snake_case" };', "enum-value-case")).toEqual([
+      'In `enum E`: The value "TwoWords" should be lowercase and hyphenated',
+      'In `enum E`: The value "snake_case" should be lowercase and hyphenated'
+    ]);
+  });
+
+  it("should rename definitions along with their references", () => {
+    const idl = `
+      [Exposed=Window] interface my_base {};
+      [Exposed=Window] interface Derived : my_base {
+        attribute (my_base or DOMString)? base;
+      };
+      partial interface my_base { sequence<my_base> all(); };
+      [Exposed=Window] interface HTMLThing {};
+    `;
+    expect(fix(idl)).toEqual({ text: idl.replace(/my_base/g, "MyBase"), problems: [] });
+  });
+
+  it("should rename members, overloads and enum values with their defaults", () => {
+    const idl = `
+      [Exposed=Window] interface A {
+        void Do_it(long a);
+        void Do_it(optional Mode mode = "Fast_Mode");
+      };
+      enum Mode { "Fast_Mode", "slow" };
+      dictionary Init { Mode? mode = "Fast_Mode"; DOMString name = "Fast_Mode"; };
+    `;
+    const expected = idl.replace(/Do_it/g, "doIt").replace(/"Fast_Mode"/g, '"fast-mode"')
+      .replace('name = "fast-mode"', 'name = "Fast_Mode"');
+    expect(fix(idl)).toEqual({ text: expected, problems: [] });
+  });
+
+  it("should not fix names into ones already in use", () => {
+    expect(fix("interface foo {}; interface Foo {};", "definition-name-case").problems).toEqual(["definition-name-case"]);
+    expect(fix('enum E { "A", "a" };', "enum-value-case").problems).toEqual(["enum-value-case"]);
+  });
+
+  it("should not fix different names into the same one", () => {
+    const definitions = "interface my_thing {}; interface my__thing {};";
+    expect(fix(definitions)).toEqual({ text: definitions, problems: ["definition-name-case", "definition-name-case", "require-exposed", "require-exposed"] });
+    const members = "[Exposed=Window] interface A { attribute long a_b; attribute long a__b; };";
+    expect(fix(members)).toEqual({ text: members, problems: ["member-name-case", "member-name-case"] });
+    const values = 'enum E { "A_B", "a_B", "C_D" };';
+    expect(fix(values)).toEqual({ text: 'enum E { "A_B", "a_B", "c-d" };', problems: ["enum-value-case", "enum-value-case"] });
+  });
+
+  it("should replace deprecated constructs", () => {
+    const idl = "interface A {\n  legacyiterable<long>;\n};\ninterface mixin M {};\nA implements M;\nA implements B;\ninterface B {};\n";
+    expect(messages(idl, "no-legacyiterable")).toEqual([
+      "In `interface A`: `legacyiterable` declarations are deprecated, use `iterable` instead"
+    ]);
+    expect(messages(idl, "no-implements").length).toBe(2);
+    const fixed = fix(idl, "no-implements");
+    // Only mixins can be included
+    expect(fixed.text).toBe(idl.replace("A implements M", "A includes M"));
+    expect(fixed.problems).toEqual(["no-implements"]);
+    expect(fix(idl, "no-legacyiterable").text).toBe(idl.replace("legacyiterable", "iterable"));
+  });
+
+  it("should require [Exposed] on interfaces and namespaces", () => {
+    const idl = `
+      interface A {}; partial interface A {};
+      interface B {}; [Exposed=Window] partial interface B {};
+      namespace C {};
+      interface mixin D {};
+      callback interface E { void handle(); };
+    `;
+    expect(messages(idl, "require-exposed")).toEqual([
+      "In `interface A`: Missing the `[Exposed]` extended attribute",
+      "In `namespace C`: Missing the `[Exposed]` extended attribute"
+    ]);
+  });
+
+  it("should remove duplicate enum values", () => {
+    expect(messages('enum E { "a", "b", "a", "a" };', "no-duplicate-enum-values")).toEqual([
+      'In `enum E`: The value "a" is listed more than once',
+      'In `enum E`: The value "a" is listed more than once'
+    ]);
+    expect(fix('enum E { "a", "b", "a", "a" };').text).toBe('enum E { "a", "b" };');
+    expect(fix('enum E { "a", "a", "b", };').text).toBe('enum E { "a", "b", };');
+    expect(fix('enum E {\n  // Values\n  "a",\n  "a"\n};').text).toBe('enum E {\n  // Values\n  "a"\n};');
+    for (const [idl, fixed] of [['enum E { "a", "a", "b" };', 'enum E { "a", "b" };'], ['enum E {\n  "a",\n  "a"\n};', 'enum E {\n  "a"\n};']]) {
+      const ast = wp.parse(idl, { ws: true });
+      lint(ast, { fix: true });
+      expect(writer.write(ast)).toBe(fixed);
+    }
+  });
+
+  it("should find members declared twice across partials", () => {
+    const idl = `
+      [Exposed=Window] interface A {
+        attribute long a;
+        void f();
+        void f(long x);
+      };
+      partial interface A {
+        attribute long a;
+        const long f = 1;
+        void f();
+      };
+      partial interface A {
+        attribute short a;
+      };
+    `;
+    expect(messages(idl, "no-duplicate-members")).toEqual([
+      "In `partial interface A`: `a` is already declared in `interface A`",
+      "In `partial interface A`: `f` is already declared in `interface A`",
+      "In `partial interface A`: `f` is already declared in `interface A`",
+      "In `partial interface A`: `a` is already declared in `interface A`"
+    ]);
+    const fixed = fix(idl, "no-duplicate-members");
+    expect(fixed.text).toBe(idl.replace("\n        attribute long a;\n        const", "\n        const")
+      .replace("\n        void f();\n      };\n      partial", "\n      };\n      partial"));
+    expect(fixed.problems).toEqual(["no-duplicate-members", "no-duplicate-members"]);
+  });
+
+  it("should report problems with their rule and severity", () => {
+    const ast = wp.parse("interface a {};");
+    expect(lint(ast).map(({ rule, severity }) => ({ rule, severity }))).toEqual([
+      { rule: "definition-name-case", severity: "warn" },
+      { rule: "require-exposed", severity: "warn" }
+    ]);
+    const [problem] = lint(ast, { rules: { "definition-name-case": "error", "require-exposed": "off" } });
+    expect(problem.severity).toBe("error");
+    expect(problem.definition).toBe(ast[0]);
+    expect(problem.node).toBe(ast[0]);
+    expect(typeof problem.fix).toBe("function");
+    expect(rules["no-duplicate-members"]).toBe("error");
+    expect(() => lint(ast, { rules: { "no-such-rule": "warn" } })).toThrow(TypeError);
+    expect(() => lint(ast, { rules: { "require-exposed": "fatal" } })).toThrow(TypeError);
+  });
+});
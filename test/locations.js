@@ -0,0 +1,60 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+const idl = `// comment
+[Exposed=Window]
+interface Foo : Bar {
+  const short X = 1;
+  attribute (long or DOMString)? a;
+  void f(optional long x = 3);
+};
+enum E { "a", "b" };
+`;
+
+function text(node) {
+  return idl.slice(node.location.start.offset, node.location.end.offset);
+}
+
+describe("Attaches source locations when requested", () => {
+  const ast = wp.parse(idl, { sourceLocations: true });
+  const [iface, enum_] = ast;
+  const [cnst, attr, op] = iface.members;
+
+  it("should not add locations by default", () => {
+    expect(wp.parse(idl)[0].location).toBe(undefined);
+  });
+
+  it("should include extended attributes in definitions", () => {
+    expect(iface.location).toEqual({
+      start: { line: 2, column: 1, offset: 11 },
+      end: { line: 7, column: 3, offset: 140 }
+    });
+    expect(text(iface)).toMatch(/^\[Exposed=Window\]\ninterface Foo/);
+    expect(text(iface.extAttrs[0])).toEqual("Exposed=Window");
+  });
+
+  it("should locate members and their parts", () => {
+    expect(text(cnst)).toEqual("const short X = 1;");
+    expect(text(cnst.idlType)).toEqual("short");
+    expect(text(cnst.value)).toEqual("1");
+    expect(text(attr)).toEqual("attribute (long or DOMString)? a;");
+    expect(text(attr.idlType)).toEqual("(long or DOMString)?");
+    expect(attr.idlType.idlType.map(text)).toEqual(["long", "DOMString"]);
+    expect(attr.location.start).toEqual({ line: 5, column: 3, offset: 73 });
+  });
+
+  it("should locate arguments and default values", () => {
+    const [arg] = op.arguments;
+    expect(text(op.idlType)).toEqual("void");
+    expect(text(arg)).toEqual("optional long x = 3");
+    expect(text(arg.idlType)).toEqual("long");
+    expect(text(arg.default)).toEqual("3");
+  });
+
+  it("should locate enum values", () => {
+    expect(enum_.values.map(text)).toEqual(['"a"', '"b"']);
+    expect(enum_.values[1].location.start).toEqual({ line: 8, column: 15, offset: 155 });
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+function members(def) {
+  return def.members.map(m => `${m.name} from ${m.origin.partial ? "partial " : ""}${m.origin.type}`);
+}
+
+describe("Merges partials and mixins into their definitions", () => {
+  const { ast, diagnostics } = wp.merge(wp.parse(`
+    partial interface Foo { attribute long p; };
+    [Exposed=Window] interface Foo : Bar { attribute long a; };
+    interface mixin M { void m(); };
+    partial interface mixin M { const long C = 1; };
+    Foo includes M;
+    dictionary D { long x; };
+    partial dictionary D { long y; };
+    enum E { "a" };
+    Foo implements Baz;
+  `));
+
+  it("should return one definition per name, in order of first appearance", () => {
+    expect(ast.map(def => def.type)).toEqual(["interface", "interface mixin", "dictionary", "enum", "implements"]);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it("should keep the fields of the base definition", () => {
+    const [foo] = ast;
+    expect(foo.partial).toBe(false);
+    expect(foo.inheritance).toBe("Bar");
+    expect(foo.extAttrs[0].name).toBe("Exposed");
+  });
+
+  it("should record where each member came from", () => {
+    const [foo, mixin, dict] = ast;
+    expect(members(foo)).toEqual([
+      "a from interface",
+      "p from partial interface",
+      "m from interface mixin",
+      "C from partial interface mixin"
+    ]);
+    expect(members(mixin)).toEqual(["m from interface mixin", "C from partial interface mixin"]);
+    expect(members(dict)).toEqual(["x from dictionary", "y from partial dictionary"]);
+    expect(foo.members[2]).not.toBe(mixin.members[0]);
+  });
+
+  it("should not modify the original AST", () => {
+    const original = wp.parse("interface Foo {}; partial interface Foo { attribute long p; };");
+    wp.merge(original);
+    expect(original[0].members).toEqual([]);
+    expect(original[1].members[0].origin).toBe(undefined);
+  });
+
+  it("should report partials without a base definition", () => {
+    const { ast, diagnostics } = wp.merge(wp.parse("partial dictionary Lonely { long x; };"));
+    expect(ast[0].partial).toBe(true);
+    expect(members(ast[0])).toEqual(["x from partial dictionary"]);
+    expect(diagnostics.map(d => d.code)).toEqual(["partial-without-base"]);
+    expect(diagnostics[0].message).toEqual("In `partial dictionary Lonely`: No definition of `Lonely` to extend");
+  });
+
+  it("should report partials of a different kind of definition", () => {
+    const { ast, diagnostics } = wp.merge(wp.parse("interface Foo {}; partial dictionary Foo { long x; };"));
+    expect(ast[0].members).toEqual([]);
+    expect(diagnostics.map(d => d.code)).toEqual(["partial-type-mismatch"]);
+  });
+
+  it("should report duplicate definitions", () => {
+    const ast = wp.parse("interface Foo {};").concat(wp.parse("dictionary Foo {};"));
+    expect(wp.merge(ast).diagnostics.map(d => d.code)).toEqual(["duplicate-definition"]);
+  });
+
+  it("should skip whitespace entries stored with the ws option", () => {
+    const { ast } = wp.merge(wp.parse("interface Foo { /* a */ attribute long a; };", { ws: true }));
+    expect(ast.map(def => def.type)).toEqual(["interface"]);
+    expect(members(ast[0])).toEqual(["a from interface"]);
+  });
+});
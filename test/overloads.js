@@ -0,0 +1,127 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+function codes(idl) {
+  return wp.overloads(wp.parse(idl)).diagnostics.map(d => d.code);
+}
+
+describe("Computes effective overload sets", () => {
+  it("should expand optional and variadic arguments", () => {
+    const { sets } = wp.overloads(wp.parse(`
+      interface A {
+        void f(long a, optional DOMString b);
+        void f(DOMString a, long... rest);
+        void f(boolean a, long b, long c, long d);
+      };
+    `));
+    expect(sets.length).toBe(1);
+    expect(sets[0].kind).toBe("operation");
+    expect(sets[0].entries.map(entry => entry.types.map(t => t.idlType).join(", "))).toEqual([
+      "long, DOMString",
+      "long",
+      "DOMString, long",
+      "DOMString, long, long",
+      "DOMString, long, long, long",
+      "DOMString",
+      "boolean, long, long, long"
+    ]);
+    expect(sets[0].entries[3].optionality).toEqual(["required", "variadic", "variadic"]);
+  });
+
+  it("should build sets for constructors, named constructors and callbacks", () => {
+    const { sets } = wp.overloads(wp.parse(`
+      [Constructor, Constructor(long a), NamedConstructor=Image(long w)]
+      interface A { static void s(); };
+      callback C = void (optional long a);
+    `));
+    expect(sets.map(set => `${set.kind} ${set.name} ${set.entries.length}`)).toEqual([
+      "static operation s 1",
+      "constructor constructor 2",
+      "named constructor Image 1",
+      "callback C 2"
+    ]);
+  });
+});
+
+describe("Checks overload distinguishability", () => {
+  it("should accept overloads that can be told apart", () => {
+    expect(codes(`
+      interface A {
+        void f(long a);
+        void f(DOMString a);
+        void f(long a, long b);
+        void f(sequence<long> a, long b);
+        void g(Node? n);
+        void g(long n);
+        void h(Node n);
+        void h(A a);
+      };
+      interface Node {};
+    `)).toEqual([]);
+  });
+
+  it("should report overloads with the same argument count and indistinguishable types", () => {
+    const { diagnostics } = wp.overloads(wp.parse("interface A { void f(long a); void f(double b); };"));
+    expect(diagnostics.map(d => d.code)).toEqual(["indistinguishable-overloads"]);
+    expect(diagnostics[0].message).toBe("In `interface A`: Overloads of `f` called with 1 argument cannot be distinguished: `f(long)`, `f(double)`");
+    expect(diagnostics[0].name).toBe("f");
+  });
+
+  it("should report overloads that overlap through optional arguments", () => {
+    expect(codes("interface A { void f(long a); void f(long a, optional long b); };")).toEqual(["indistinguishable-overloads"]);
+    expect(codes("[Constructor, Constructor(optional long a)] interface A {};")).toEqual(["indistinguishable-overloads"]);
+  });
+
+  it("should follow the distinguishability rules", () => {
+    const pair = (a, b) => codes(`interface A { void f(${a} x); void f(${b} x); }; dictionary D {}; interface B : A {}; callback C = void ();`);
+    expect(pair("D", "long?")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("DOMString?", "long?")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("object", "D")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("object", "long")).toEqual([]);
+    expect(pair("A", "B")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("C", "D")).toEqual([]);
+    expect(pair("C", "record<DOMString, long>")).toEqual([]);
+    expect(pair("(long or DOMString)", "boolean")).toEqual([]);
+    expect(pair("(long or DOMString)", "double")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("any", "long")).toEqual(["indistinguishable-overloads"]);
+    expect(pair("bigint", "long")).toEqual([]);
+    expect(pair("bigint", "object")).toEqual([]);
+    expect(pair("bigint", "bigint")).toEqual(["indistinguishable-overloads"]);
+  });
+
+  it("should include constructor operations in the constructor overloads", () => {
+    const { sets } = wp.overloads(wp.parse("[Constructor(DOMString a)] interface A { constructor(); constructor(long a); };"));
+    expect(sets.map(set => [set.kind, set.overloads.length])).toEqual([["constructor", 3]]);
+    expect(codes("[Constructor(long a)] interface A { constructor(long b); };")).toEqual(["indistinguishable-overloads"]);
+  });
+
+  it("should not distinguish undefined from dictionaries", () => {
+    expect(codes("dictionary D {}; typedef (undefined or D) T;")).toEqual(["indistinguishable-union-members"]);
+    expect(codes("typedef (undefined or long or object) T;")).toEqual([]);
+  });
+
+  it("should report arguments that differ before the distinguishing one", () => {
+    expect(codes("interface A { void f(long a, DOMString b); void f(DOMString a, long b); };")).toEqual([]);
+    expect(codes("interface A { void f(long a, DOMString b); void f(double a, long b); };")).toEqual(["overload-argument-mismatch"]);
+  });
+
+  it("should expand typedefs", () => {
+    expect(codes("typedef long Number; interface A { void f(Number a); void f(long a); };")).toEqual(["indistinguishable-overloads"]);
+  });
+
+  it("should report indistinguishable union members", () => {
+    const { diagnostics } = wp.overloads(wp.parse("typedef (long or (DOMString or unsigned short)) T;"));
+    expect(diagnostics.map(d => d.code)).toEqual(["indistinguishable-union-members"]);
+    expect(diagnostics[0].message).toBe("In `typedef T`: `long` and `unsigned short` in the union `(long or (DOMString or unsigned short))` cannot be distinguished");
+    expect(codes("typedef (long or DOMString)? T; typedef (Node or sequence<Node>) U; interface Node {};")).toEqual([]);
+  });
+
+  it("should expand the buffer source typedefs of WebIDL", () => {
+    expect(codes("typedef (BufferSource or ArrayBuffer) T;")).toEqual(["indistinguishable-union-members"]);
+    expect(codes("typedef (ArrayBufferView or DataView) T;")).toEqual(["indistinguishable-union-members"]);
+    expect(codes("typedef (BufferSource or DOMString) T;")).toEqual([]);
+    expect(codes("interface A { void f(BufferSource a); void f(BigInt64Array a); };")).toEqual(["indistinguishable-overloads"]);
+  });
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+describe("Parses several documents together", () => {
+  const dom = {
+    name: "dom.webidl",
+    text: "interface EventTarget {};\ninterface Node : EventTarget {};"
+  };
+  const html = {
+    name: "html.webidl",
+    text: "interface Document : Node {};\npartial interface Node { attribute Document doc; };"
+  };
+
+  it("should concatenate the definitions and tag them with their source", () => {
+    const ast = wp.parseAll([dom, html]);
+    expect(ast.map(def => [def.name, def.sourceName])).toEqual([
+      ["EventTarget", "dom.webidl"],
+      ["Node", "dom.webidl"],
+      ["Document", "html.webidl"],
+      ["Node", "html.webidl"]
+    ]);
+    expect(wp.validate(ast)).toEqual([]);
+  });
+
+  it("should not tag definitions of a single parse", () => {
+    expect(wp.parse(dom.text)[0].sourceName).toBe(undefined);
+  });
+
+  it("should detect duplicate names across documents", () => {
+    const other = { name: "other.webidl", text: "\ndictionary Node {};" };
+    let error;
+    try {
+      wp.parseAll([dom, other]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toEqual('Got an error before parsing any named definition: The name "Node" of type "interface" is already seen in dom.webidl');
+    expect(error.sourceName).toEqual("other.webidl");
+    expect(error.line).toEqual(2);
+    expect(error.toString()).toMatch(/, other\.webidl, line 2 /);
+  });
+
+  it("should collect the errors of every document in recover mode", () => {
+    const broken = { name: "broken.webidl", text: "interface Broken { attribute; };" };
+    const { ast, errors } = wp.parseAll([broken, dom, broken], { recover: true });
+    expect(ast.map(def => def.name)).toEqual(["Broken", "EventTarget", "Node"]);
+    expect(errors.map(e => [e.sourceName, e.message.replace(/^.*: /, "")])).toEqual([
+      ["broken.webidl", "No type in attribute"],
+      ["broken.webidl", "The name \"Broken\" of type \"interface\" is already seen"]
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+describe("Parses with a profile", () => {
+  const legacy = `
+    [Constructor, NoInterfaceObject]
+    interface Foo {
+      attribute [TreatNullAs=EmptyString] DOMString name;
+      void reset();
+      legacyiterable<long>;
+    };
+    interface mixin Bar {};
+    Foo implements Bar;
+  `;
+
+  it("should accept legacy syntax by default and in the legacy profile", () => {
+    expect(wp.parse(legacy)).toEqual(wp.parse(legacy, { profile: "legacy" }));
+    expect(wp.parse(legacy).map(def => def.type)).toEqual(["interface", "interface mixin", "implements"]);
+  });
+
+  it("should report every legacy construct in recover mode", () => {
+    const { ast, errors } = wp.parse(legacy, { profile: "strict", recover: true });
+    expect(ast).toEqual(wp.parse(legacy));
+    expect(errors.map(e => e.message.replace(/^.*: /, "").replace(/ cannot be used .*$/, ""))).toEqual([
+      "The `[Constructor]` extended attribute",
+      "The `[NoInterfaceObject]` extended attribute",
+      "The `[TreatNullAs]` extended attribute",
+      "The `void` type",
+      "`legacyiterable` declarations",
+      "`implements` statements"
+    ]);
+    expect(errors.map(e => e.line)).toEqual([2, 2, 4, 5, 6, 9]);
+  });
+
+  it("should reject unknown profiles", () => {
+    expect(() => wp.parse("", { profile: "modern" })).toThrow(TypeError);
+  });
+});
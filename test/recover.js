@@ -0,0 +1,69 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const { collect } = require("./util/collect");
+const expect = require("expect");
+
+function names(ast) {
+  return ast.map(def => [def.name, def.members && def.members.map(m => m.name)]);
+}
+
+describe("Recovers from errors when asked to", () => {
+  it("should return the AST and an empty error list for valid IDL", () => {
+    const { ast, errors } = wp.parse("interface Foo { attribute long bar; };", { recover: true });
+    expect(names(ast)).toEqual([["Foo", ["bar"]]]);
+    expect(errors).toEqual([]);
+  });
+
+  it("should skip broken members and keep the rest of the body", () => {
+    const { ast, errors } = wp.parse(`
+      interface A { attribute long; void f(; readonly attribute long ok; };
+      dictionary D { long x = ; required long y; };
+    `, { recover: true });
+    expect(names(ast)).toEqual([["A", ["ok"]], ["D", ["y"]]]);
+    expect(errors.map(e => e.message)).toEqual([
+      "Got an error during or right after parsing `interface A`: No name in attribute",
+      "Got an error during or right after parsing `interface A`: Unterminated operation",
+      "Got an error during or right after parsing `dictionary D`: No value for default"
+    ]);
+    expect(errors.map(e => e.line)).toEqual([2, 2, 3]);
+  });
+
+  it("should skip broken definitions", () => {
+    const { ast, errors } = wp.parse(`
+      interface B : { attribute long lost; };
+      enum E { 1 };
+      garbage here;
+      namespace N {};
+    `, { recover: true });
+    expect(names(ast)).toEqual([["N", []]]);
+    expect(errors.map(e => e.message.replace(/^.*: /, ""))).toEqual([
+      "No type in inheritance",
+      "Unexpected value in enum",
+      "Unrecognised tokens"
+    ]);
+  });
+
+  it("should keep definitions that only lack a trailing semicolon", () => {
+    const { ast, errors } = wp.parse("dictionary D {} enum E { \"a\" } interface mixin M {}", { recover: true });
+    expect(names(ast)).toEqual([["D", []], ["E", undefined], ["M", []]]);
+    expect(errors.length).toBe(3);
+  });
+
+  it("should keep a body left open at the end of the input", () => {
+    const { ast, errors } = wp.parse("interface C { attribute long c; void", { recover: true });
+    expect(names(ast)).toEqual([["C", ["c"]]]);
+    expect(errors.map(e => e.message.replace(/^.*: /, ""))).toEqual([
+      "Invalid operation",
+      "Unterminated interface"
+    ]);
+  });
+
+  it("should report the same first error as a normal parse", () => {
+    for (const test of collect("invalid", { expectError: true })) {
+      const { errors } = wp.parse(test.readIDL(), Object.assign({}, test.opt, { recover: true }));
+      expect(errors[0].message).toEqual(test.error.message);
+      expect(errors[0].line).toEqual(test.error.line);
+    }
+  });
+});
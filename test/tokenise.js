@@ -0,0 +1,50 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+const { collect } = require("./util/collect");
+
+describe("Tokenises strings into tokens with positions and trivia", () => {
+  it("should give each token its offsets, line and column", () => {
+    const tokens = wp.tokenise("interface Foo {\n  attribute long bar;\n};");
+    expect(tokens.map(t => [t.type, t.value, t.start, t.end, t.line, t.column])).toEqual([
+      ["identifier", "interface", 0, 9, 1, 1],
+      ["identifier", "Foo", 10, 13, 1, 11],
+      ["other", "{", 14, 15, 1, 15],
+      ["identifier", "attribute", 18, 27, 2, 3],
+      ["identifier", "long", 28, 32, 2, 13],
+      ["identifier", "bar", 33, 36, 2, 18],
+      ["other", ";", 36, 37, 2, 21],
+      ["other", "}", 38, 39, 3, 1],
+      ["other", ";", 39, 40, 3, 2],
+      ["eof", "", 40, 40, 3, 3]
+    ]);
+  });
+
+  it("should attach white space and comments to the next token", () => {
+    const tokens = wp.tokenise("/* a */ // b\r\n// c\ninterface _Foo {}; // d");
+    expect(tokens[0].trivia.map(t => [t.type, t.value, t.line, t.column])).toEqual([
+      ["multiline-comment", "/* a */", 1, 1],
+      ["whitespace", " ", 1, 8],
+      ["line-comment", "// b", 1, 9],
+      ["whitespace", "\r\n", 1, 13],
+      ["line-comment", "// c", 2, 1],
+      ["whitespace", "\n", 2, 5]
+    ]);
+    expect(tokens[1].value).toBe("_Foo");
+    const eof = tokens[tokens.length - 1];
+    expect(eof.trivia.map(t => t.value)).toEqual([" ", "// d"]);
+  });
+
+  it("should give back the original text of every fixture", () => {
+    for (const test of collect("syntax")) {
+      const text = test.readIDL();
+      const tokens = wp.tokenise(text);
+      const joined = tokens.map(t => t.trivia.map(t => t.value).join("") + t.value).join("");
+      expect(joined).toBe(text);
+      for (const tok of tokens) {
+        expect(text.slice(tok.start, tok.end)).toBe(tok.value);
+      }
+    }
+  });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+describe("Resolves and classifies types", () => {
+  const ast = wp.parse(`
+    typedef (long or DOMString?) Key;
+    typedef sequence<Key> Keys;
+    typedef Cycle Cycle;
+    interface Node {};
+    callback interface Listener { void handle(); };
+    callback Callback = void ();
+    dictionary Init {};
+    enum Mode { "a" };
+    interface mixin Mixin {};
+    interface Uses {
+      attribute Key? key;
+      attribute (Keys or [Clamp] byte or (Node or Init)) all;
+      attribute Cycle cycle;
+    };
+  `);
+  const types = wp.types(ast);
+  const [key, all, cycle] = ast.find(def => def.name === "Uses").members.map(mem => mem.idlType);
+  const write = type => {
+    if (typeof type === "string") return type;
+    const inner = type.union ? `(${type.idlType.map(write).join(" or ")})` :
+      type.generic ? `${type.generic}<${write(type.idlType)}>` : type.idlType;
+    return inner + (type.nullable ? "?" : "");
+  };
+
+  it("should expand typedefs recursively", () => {
+    const expanded = types.expand(key);
+    expect(write(expanded)).toBe("(long or DOMString?)?");
+    expect(expanded.type).toBe("attribute-type");
+    expect(write(types.expand(all))).toBe("(sequence<(long or DOMString?)> or byte or (Node or Init))");
+    expect(write(types.expand(cycle))).toBe("Cycle");
+    expect(key.idlType).toBe("Key");
+  });
+
+  it("should compute the flattened member types of unions", () => {
+    expect(types.flattenedMemberTypes(all).map(write)).toEqual(["sequence<(long or DOMString?)>", "byte", "Node", "Init"]);
+    expect(types.flattenedMemberTypes(key).map(write)).toEqual(["long", "DOMString"]);
+    expect(types.flattenedMemberTypes(all)[1].extAttrs.map(ea => ea.name)).toEqual(["Clamp"]);
+    expect(types.flattenedMemberTypes("Node").map(write)).toEqual(["Node"]);
+  });
+
+  it("should tell whether types include a nullable type", () => {
+    expect(types.includesNullable(key)).toBe(true);
+    expect(types.includesNullable("Key")).toBe(true);
+    expect(types.includesNullable(all)).toBe(false);
+    expect(types.includesNullable("Node")).toBe(false);
+  });
+
+  it("should write types and label definitions", () => {
+    expect(wp.typeString(all)).toBe("(Keys or byte or (Node or Init))");
+    expect(wp.typeString(key)).toBe("Key?");
+    expect(wp.definitionLabel(ast.find(def => def.name === "Uses"))).toBe("`interface Uses`");
+    expect(wp.definitionLabel(wp.parse("partial dictionary D {};")[0])).toBe("`partial dictionary D`");
+    expect(wp.definitionLabel(wp.parse("A includes B;")[0])).toBe("`includes` statement");
+  });
+
+  it("should classify types", () => {
+    const classes = ["byte", "boolean", "USVString", "Uint8Array", "object", "any", "Node", "DOMException",
+      "Init", "Mode", "Callback", "Listener", "Mixin", "Missing", "Keys"].map(types.classify);
+    expect(classes).toEqual(["primitive", "primitive", "string", "buffer source", "object", "any", "interface", "interface",
+      "dictionary", "enum", "callback", "callback interface", "unknown", "unknown", "sequence"]);
+    expect([key, all].map(types.classify)).toEqual(["union", "union"]);
+    expect(["bigint", "undefined", "void"].map(types.classify)).toEqual(["primitive", "undefined", "void"]);
+    expect(["BufferSource", "ArrayBufferView", "AllowSharedBufferSource", "BigInt64Array", "BigUint64Array"].map(types.classify))
+      .toEqual(["buffer source", "buffer source", "buffer source", "buffer source", "buffer source"]);
+    expect(types.flattenedMemberTypes("BufferSource").map(write)).toContain("Uint8Array");
+    expect(types.classify("DOMTimeStamp")).toBe("primitive");
+    const [observed] = wp.parse("interface O { attribute ObservableArray<long> a; };")[0].members;
+    expect(types.classify(observed.idlType)).toBe("sequence");
+  });
+});
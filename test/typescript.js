@@ -0,0 +1,169 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const ts = require("../lib/typescript");
+const expect = require("expect");
+
+describe("Generates TypeScript declarations", () => {
+  function generate(idl) {
+    return ts.generate(wp.parse(idl));
+  }
+
+  it("should map types", () => {
+    expect(generate(`
+      typedef (long or sequence<(DOMString or boolean)?>)? A;
+      typedef record<USVString, FrozenArray<octet>> B;
+      typedef Promise<void> C;
+      typedef sequence<Node> D;
+    `)).toBe(`type A = number | (string | boolean | null)[] | null;
+
+type B = Record<string, ReadonlyArray<number>>;
+
+type C = Promise<void>;
+
+type D = Node[];
+`);
+  });
+
+  it("should write interfaces and their interface objects", () => {
+    expect(generate(`
+      [Constructor(DOMString type, optional EventInit init)]
+      interface Event : Base {
+        const unsigned short NONE = 0;
+        readonly attribute DOMString type;
+        static Event create(long... args);
+        getter Node? (unsigned long index);
+        stringifier;
+      };
+      [NoInterfaceObject] interface Hidden {};
+    `)).toBe(`interface Event extends Base {
+  readonly NONE: number;
+  readonly type: string;
+  [index: number]: Node | null;
+  toString(): string;
+}
+
+declare var Event: {
+  prototype: Event;
+  new(type: string, init?: EventInit): Event;
+  readonly NONE: number;
+  create(...args: number[]): Event;
+};
+
+interface Hidden {}
+`);
+  });
+
+  it("should write constructor operations and newer types", () => {
+    expect(generate(`
+      interface Counter {
+        constructor();
+        constructor(bigint start);
+        attribute ObservableArray<long> steps;
+        undefined reset();
+      };
+    `)).toBe(`interface Counter {
+  steps: number[];
+  reset(): undefined;
+}
+
+declare var Counter: {
+  prototype: Counter;
+  new(): Counter;
+  new(start: bigint): Counter;
+};
+`);
+  });
+
+  it("should fold partials and extend included mixins", () => {
+    expect(generate(`
+      [NoInterfaceObject] interface Foo {};
+      partial interface Foo { attribute long a; };
+      interface mixin M { void m(); };
+      Foo includes M;
+    `)).toBe(`interface Foo extends M {
+  a: number;
+}
+
+interface M {
+  m(): void;
+}
+`);
+  });
+
+  it("should write dictionaries, enums, callbacks and namespaces", () => {
+    expect(generate(`
+      dictionary Options : Base { required DOMString name; long size = 1; };
+      enum Mode { "open", "closed" };
+      callback Handler = boolean (any value, optional long index);
+      callback interface Listener { void handle(Event e); };
+      namespace console { readonly attribute long level; void log(any... data); };
+    `)).toBe(`interface Options extends Base {
+  name: string;
+  size?: number;
+}
+
+type Mode = "open" | "closed";
+
+type Handler = (value: any, index?: number) => boolean;
+
+interface Listener {
+  handle(e: Event): void;
+}
+
+declare namespace console {
+  const level: number;
+  function log(...data: any[]): void;
+}
+`);
+  });
+
+  it("should escape names of TypeScript types and write empty enums", () => {
+    expect(generate(`
+      typedef float _number;
+      enum _string {};
+      [NoInterfaceObject] interface _unknown { attribute number n; attribute FrozenArray<string> s; attribute any a; };
+    `)).toBe(`type _number = number;
+
+type _string = never;
+
+interface _unknown {
+  n: _number;
+  s: ReadonlyArray<_string>;
+  a: any;
+}
+`);
+  });
+
+  it("should write the members of iterable declarations", () => {
+    const members = idl => generate(`[NoInterfaceObject] interface I { ${idl}; };`).split("\n").slice(1, -2);
+    expect(members("iterable<DOMString, long>")).toEqual([
+      "  [Symbol.iterator](): IterableIterator<[string, number]>;",
+      "  entries(): IterableIterator<[string, number]>;",
+      "  keys(): IterableIterator<string>;",
+      "  values(): IterableIterator<number>;",
+      "  forEach(callbackfn: (value: number, key: string, parent: I) => void, thisArg?: any): void;"
+    ]);
+    expect(members("iterable<Node>")[1]).toBe("  entries(): IterableIterator<[number, Node]>;");
+    expect(members("readonly maplike<DOMString, long>").slice(-2)).toEqual([
+      "  get(key: string): number | undefined;",
+      "  has(key: string): boolean;"
+    ]);
+    expect(members("async iterable<DOMString, long>(optional boolean sorted)")).toEqual([
+      "  [Symbol.asyncIterator](sorted?: boolean): AsyncIterableIterator<[string, number]>;",
+      "  entries(sorted?: boolean): AsyncIterableIterator<[string, number]>;",
+      "  keys(sorted?: boolean): AsyncIterableIterator<string>;",
+      "  values(sorted?: boolean): AsyncIterableIterator<number>;"
+    ]);
+    expect(members("async iterable<bigint>")).toEqual([
+      "  [Symbol.asyncIterator](): AsyncIterableIterator<bigint>;",
+      "  values(): AsyncIterableIterator<bigint>;"
+    ]);
+    expect(members("setlike<DOMString>").slice(-4)).toEqual([
+      "  has(value: string): boolean;",
+      "  add(value: string): this;",
+      "  delete(value: string): boolean;",
+      "  clear(): void;"
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+// Parses generated documents of doubling size and prints the time per
+// kilobyte, which should stay about the same as the input grows.
+
+const webidl2 = require("../../lib/webidl2");
+
+function definitions(i) {
+  return `
+/* Definitions from group ${i} */
+[Constructor(optional Init${i} init), Exposed=(Window,Worker)]
+interface Node${i} : Base${i} {
+  const unsigned short KIND_${i} = ${i};
+  readonly attribute DOMString name;
+  attribute (long or sequence<Node${i}?>)? value;
+  inherit attribute EventHandler onchange;
+  static Node${i} create(optional Init${i} init, long... rest);
+  Promise<void> update(record<DOMString, any> values, optional boolean force = false);
+  getter Node${i}? (unsigned long index);
+  iterable<DOMString, Node${i}>;
+};
+
+// A dictionary and an enum
+dictionary Init${i} {
+  required DOMString name;
+  unrestricted double weight = -Infinity;
+  Mode${i} mode = "fast";
+};
+
+enum Mode${i} { "fast", "slow" };
+typedef (Node${i} or Init${i}) Thing${i};
+callback Listener${i} = void (Thing${i} thing);
+Node${i} implements Mixin${i};
+`;
+}
+
+function corpus(count) {
+  let text = "";
+  for (let i = 0; i < count; i++) text += definitions(i);
+  return text;
+}
+
+function time(text, opt) {
+  const start = process.hrtime();
+  webidl2.parse(text, opt);
+  const [s, ns] = process.hrtime(start);
+  return s * 1e3 + ns / 1e6;
+}
+
+// String#padStart needs Node 8
+function pad(str, length) {
+  return (" ".repeat(length) + str).slice(-length);
+}
+
+const runs = 3;
+for (const opt of [{}, { ws: true, sourceLocations: true }]) {
+  console.log(`Options: ${JSON.stringify(opt)}`);
+  for (let count = 250; count <= 4000; count *= 2) {
+    const text = corpus(count);
+    time(text, opt); // warm up
+    let best = Infinity;
+    for (let i = 0; i < runs; i++) best = Math.min(best, time(text, opt));
+    const kb = text.length / 1024;
+    console.log(`  ${pad(kb.toFixed(0), 6)} KB  ${pad(best.toFixed(1), 8)} ms  ${(best / kb).toFixed(3)} ms/KB`);
+  }
+}
@@ -28,7 +28,7 @@ function* collect(base, { expectError } = {}) {
     }
     catch (error) {
       if (expectError) {
-        yield new TestItem({ path, error });
+        yield new TestItem({ path, error, opt });
       }
       else {
         throw error;
@@ -47,6 +47,10 @@ class TestItem {
     this.jsonPath = pth.join(pth.dirname(path), "../json", pth.basename(path).replace(".widl", ".json"));
   }
 
+  readIDL() {
+    return fs.readFileSync(this.path, "utf8").replace(/\r\n/g, "\n");
+  }
+
   readJSON() {
     return JSON.parse(fs.readFileSync(this.jsonPath, "utf8"));
   }
@@ -0,0 +1,142 @@
+"use strict";
+
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+function codes(idl) {
+  return wp.validate(wp.parse(idl)).map(d => d.code);
+}
+
+describe("Validates cross-definition references", () => {
+  it("should accept IDL whose references all resolve", () => {
+    const idl = `
+      interface Base {};
+      [Constructor(Init init)]
+      interface Derived : Base {
+        attribute (Base or sequence<Name>)? node;
+        Promise<record<DOMString, Base>> run(optional Callback cb);
+        iterable<Name, Base>;
+      };
+      dictionary Init { Name name; };
+      dictionary DerivedInit : Init { Derived target; };
+      enum Name { "a", "b" };
+      typedef Base Alias;
+      callback Callback = void (Alias a);
+      interface mixin Mixin { readonly attribute Alias alias; };
+      Derived includes Mixin;
+      Derived implements Base;
+      partial interface Window { attribute Base base; };
+    `;
+    expect(wp.validate(wp.parse(idl))).toEqual([]);
+  });
+
+  it("should accept the types defined by WebIDL itself", () => {
+    expect(codes(`
+      interface Foo {
+        void f(BufferSource b, optional AllowSharedBufferSource s);
+        attribute ArrayBufferView view;
+        attribute (BigInt64Array or BigUint64Array) big;
+        readonly attribute DOMTimeStamp time;
+      };
+    `)).toEqual([]);
+  });
+
+  it("should report references to undefined types", () => {
+    const diagnostics = wp.validate(wp.parse(`
+      interface Foo {
+        attribute Bar bar;
+        void baz(sequence<Qux> qux);
+      };
+    `));
+    expect(diagnostics.map(d => d.code)).toEqual(["unknown-type", "unknown-type"]);
+    expect(diagnostics.map(d => d.name)).toEqual(["Bar", "Qux"]);
+    expect(diagnostics[0].message).toEqual("In `interface Foo`: Type `Bar` is not defined");
+    expect(diagnostics[0].definition.name).toEqual("Foo");
+  });
+
+  it("should report types in extended attribute arguments", () => {
+    expect(codes("[Constructor(Missing m)] interface Foo {};")).toEqual(["unknown-type"]);
+  });
+
+  it("should report definitions that are not types", () => {
+    expect(codes(`
+      interface mixin Mixin {};
+      namespace Console {};
+      dictionary Dict { Mixin mixin; Console console; };
+    `)).toEqual(["invalid-type", "invalid-type"]);
+  });
+
+  it("should report invalid inheritance", () => {
+    expect(codes("dictionary Dict : Missing {};")).toEqual(["unknown-inheritance"]);
+    expect(codes("interface Foo {}; dictionary Dict : Foo {};")).toEqual(["invalid-inheritance"]);
+    expect(codes("dictionary Dict {}; interface Foo : Dict {};")).toEqual(["invalid-inheritance"]);
+    expect(codes("interface A : B {}; interface B : A {};")).toEqual(["cyclic-inheritance", "cyclic-inheritance"]);
+  });
+
+  it("should report invalid includes and implements statements", () => {
+    expect(codes("interface Foo {}; interface Bar {}; Foo includes Bar;")).toEqual(["invalid-includes"]);
+    expect(codes("interface mixin Bar {}; Bar includes Bar;")).toEqual(["invalid-includes"]);
+    expect(codes("interface Foo {}; Foo includes Bar;")).toEqual(["unknown-includes"]);
+    expect(codes("interface Foo {}; dictionary Bar {}; Foo implements Bar;")).toEqual(["invalid-implements"]);
+  });
+
+  it("should ignore whitespace entries stored with the ws option", () => {
+    const ast = wp.parse("/* a */ interface Foo { /* b */ void bar(/* c */ Baz baz); };", { ws: true });
+    expect(wp.validate(ast).map(d => d.name)).toEqual(["Baz"]);
+  });
+});
+
+describe("Validates extended attributes", () => {
+  it("should accept known extended attributes where they belong", () => {
+    expect(codes(`
+      [Exposed=(Window,Worker), SecureContext, Constructor(long a), NamedConstructor=Image(long w)]
+      interface Foo {
+        [PutForwards=name, Replaceable] readonly attribute Foo self;
+        attribute [Clamp] octet level;
+        void f([EnforceRange] long a);
+      };
+      dictionary Init { [Clamp] long size; };
+    `)).toEqual([]);
+  });
+
+  it("should report unknown extended attributes", () => {
+    const diagnostics = wp.validate(wp.parse("[SecureContex] interface Foo {};"));
+    expect(diagnostics.map(d => d.code)).toEqual(["unknown-extended-attribute"]);
+    expect(diagnostics[0].message).toBe("In `interface Foo`: Unknown extended attribute `[SecureContex]`");
+    expect(diagnostics[0].name).toBe("SecureContex");
+    expect(diagnostics[0].node.type).toBe("extended-attribute");
+  });
+
+  it("should report extended attributes of the wrong shape", () => {
+    const diagnostics = wp.validate(wp.parse("[Exposed] interface Foo { [Replaceable=x] attribute long a; };"));
+    expect(diagnostics.map(d => d.message)).toEqual([
+      "In `interface Foo`: Extended attribute `[Exposed]` expects an identifier or a list of identifiers",
+      "In `interface Foo`: Extended attribute `[Replaceable]` expects no value or arguments"
+    ]);
+  });
+
+  it("should report misplaced extended attributes", () => {
+    const diagnostics = wp.validate(wp.parse(`
+      [Clamp] interface Foo {
+        [Constructor] attribute long a;
+        const long C = 1;
+      };
+      dictionary D { [PutForwards=x] long b; };
+    `));
+    expect(diagnostics.map(d => d.message)).toEqual([
+      "In `interface Foo`: Extended attribute `[Clamp]` cannot be used on an interface",
+      "In `interface Foo`: Extended attribute `[Constructor]` cannot be used on an attribute",
+      "In `dictionary D`: Extended attribute `[PutForwards]` cannot be used on a dictionary member"
+    ]);
+  });
+
+  it("should accept registered extended attributes", () => {
+    const idl = "[BrowserOnly=(Chrome)] interface Foo {};";
+    expect(codes(idl)).toEqual(["unknown-extended-attribute"]);
+    const extendedAttributes = {
+      BrowserOnly: { shapes: ["identifier-list"], placements: ["interface"] }
+    };
+    expect(wp.validate(wp.parse(idl), { extendedAttributes })).toEqual([]);
+    expect(wp.extendedAttributes.BrowserOnly).toBe(undefined);
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+const { collect } = require("./util/collect");
+const wp = require("../lib/webidl2");
+const expect = require("expect");
+
+// Every object of the AST that is not a node: source locations and the
+// values of extended attributes
+function nodes(value, ret = new Set()) {
+  if (Array.isArray(value)) {
+    for (const item of value) nodes(item, ret);
+  }
+  else if (value && typeof value === "object") {
+    ret.add(value);
+    for (const key of Object.keys(value)) {
+      if (key !== "location" && key !== "rhs") nodes(value[key], ret);
+    }
+  }
+  return ret;
+}
+
+describe("Walks every node of the ASTs", () => {
+  for (const test of collect("syntax")) {
+    it(`should visit every node of ${test.path}`, () => {
+      const ast = wp.parse(test.readIDL(), Object.assign({ ws: true, sourceLocations: true }, test.opt));
+      const visited = new Set();
+      const visitor = new Proxy({}, {
+        get: () => (node, path) => {
+          expect(visited.has(node)).toBe(false);
+          visited.add(node);
+          expect(path.node).toBe(node);
+        }
+      });
+      wp.walk(ast, visitor);
+      expect(visited).toEqual(nodes(ast));
+    });
+  }
+});
+
+describe("Calls the visitor callbacks", () => {
+  const idl = `interface Foo : Bar {
+  [Clamp] attribute long a;
+  void f(optional (DOMString or long)? x = null);
+};
+enum E { "a" };`;
+
+  it("should call enter and leave with the kind of node and its parents", () => {
+    const calls = [];
+    const log = phase => (node, path) => calls.push(`${phase} ${path.kind} ${node.name || node.idlType || node.value || ""} < ${path.parents.map(p => p.name).join(" < ")}`);
+    const both = { enter: log("enter"), leave: log("leave") };
+    wp.walk(wp.parse(idl), {
+      interface: both,
+      operation: log("enter"),
+      argument: both,
+      "extended-attribute": log("enter"),
+      value: log("enter"),
+      "enum-value": log("enter")
+    });
+    expect(calls).toEqual([
+      "enter interface Foo < ",
+      "enter extended-attribute Clamp < a < Foo",
+      "enter operation f < Foo",
+      "enter argument x < f < Foo",
+      "enter value  < x < f < Foo",
+      "leave argument x < f < Foo",
+      "leave interface Foo < ",
+      "enter enum-value a < E"
+    ]);
+  });
+
+  it("should give the position of each node in its parent", () => {
+    const positions = [];
+    wp.walk(wp.parse(idl), {
+      idlType(node, path) {
+        positions.push([path.parent.type || path.parent.name, path.key, path.index]);
+      }
+    });
+    expect(positions).toEqual([
+      ["attribute", "idlType", null],
+      ["operation", "idlType", null],
+      ["x", "idlType", null],
+      ["argument-type", "idlType", 0],
+      ["argument-type", "idlType", 1]
+    ]);
+  });
+
+  it("should skip the children of a node", () => {
+    const names = [];
+    wp.walk(wp.parse(idl), {
+      attribute: (node, path) => path.skip(),
+      operation: (node, path) => path.skip(),
+      "extended-attribute": node => names.push(node.name),
+      enum: { leave: node => names.push(node.name) }
+    });
+    expect(names).toEqual(["E"]);
+  });
+
+  it("should replace nodes", () => {
+    const ast = wp.parse(idl);
+    const result = wp.walk(ast, {
+      interface(node, path) {
+        path.replace(Object.assign({}, node, { name: "Renamed", members: node.members.slice(0, 1) }));
+      },
+      attribute: {
+        leave(node, path) {
+          path.replace(Object.assign({}, node, { readonly: true }));
+        }
+      },
+      idlType(node) {
+        node.idlType = "double";
+      }
+    });
+    expect(result).toBe(ast);
+    expect(ast[0].name).toBe("Renamed");
+    expect(ast[0].members.length).toBe(1);
+    expect(ast[0].members[0].readonly).toBe(true);
+    expect(ast[0].members[0].idlType.idlType).toBe("double");
+  });
+});
@@ -21,3 +21,170 @@ describe("Rewrite and parses all of the IDLs to produce the same ASTs", () => {
     });
   }
 });
+
+describe("Writes all of the IDLs back byte for byte from a lossless parse", () => {
+  for (const test of collect("syntax")) {
+    it(`should reproduce ${test.path}`, () => {
+      const idl = test.readIDL();
+      const opt = Object.assign({}, test.opt, { lossless: true });
+      expect(writer.write(wp.parse(idl, opt))).toBe(idl);
+    });
+  }
+});
+
+describe("Writes lossless ASTs", () => {
+  it("should keep the trivia inside types, extended attributes and statements", () => {
+    const idl = `// header
+[ Exposed = ( Window , /* w */ Worker ) , Constructor ( DOMString /*a*/ a ) ]
+interface _interface : /* base */ _Base {
+  const unsigned /* x */ long long? X = -Infinity ;
+  [X] void f ( optional sequence < long > a = [ ] , [Clamp] long ... rest ) ;
+  static readonly attribute ( long or /*o*/ DOMString ) ? _required ;
+};
+enum E { "a" , "b" , /* trailing */ } ;
+_interface includes /* mixin */ Mixin ;
+/* end */
+`;
+    expect(writer.write(wp.parse(idl, { lossless: true }))).toBe(idl);
+    expect(writer.write(wp.parse("", { lossless: true }))).toBe("");
+    for (const commas of ['enum E { "a" "b", "c", };', 'enum E { "a", "b" "c" };']) {
+      expect(writer.write(wp.parse(commas, { lossless: true }))).toBe(commas);
+    }
+  });
+
+  it("should write changes to the AST", () => {
+    const ast = wp.parse("interface A {\n  // comment\n  attribute long a;\n};\n", { lossless: true });
+    ast[0].members[0].name = "b";
+    ast[0].members[0].readonly = true;
+    expect(writer.write(ast)).toBe("interface A {\n  // comment\n  readonly attribute long b;\n};\n");
+    const [def] = wp.parse('enum E { "a", "b" };', { lossless: true });
+    def.values.push({ type: "string", value: "c" });
+    expect(writer.write([def])).toBe('enum E { "a", "b","c" };');
+  });
+
+  it("should escape names that would not parse back", () => {
+    const ast = wp.parse("interface _interface { attribute long __value; void f(long _required); };");
+    expect(writer.write(ast)).toBe("interface _interface {attribute long __value;void f(long _required);};");
+    expect(wp.parse(writer.write(ast))).toEqual(ast);
+  });
+});
+
+describe("Formats all of the IDLs without changing their ASTs", () => {
+  for (const test of collect("syntax")) {
+    it(`should produce the same AST for ${test.path}`, () => {
+      const opt = Object.assign({}, test.opt, { ws: true });
+      const formatted = writer.write(wp.parse(test.readIDL(), opt), { format: true });
+      const diff = test.diff(wp.parse(formatted, test.opt));
+      if (diff && debug) console.log(JSON.stringify(diff, null, 4));
+      expect(diff).toBe(undefined);
+      expect(writer.write(wp.parse(formatted, opt), { format: true })).toBe(formatted);
+    });
+  }
+
+  it("should indent members and normalize spacing", () => {
+    const idl = `[Exposed=(Window,Worker),Constructor(DOMString a,long b)] interface Foo:Bar{
+        const long X=1;  [SameObject]readonly attribute Node node;
+      void f(optional long a=1,DOMString... rest);};
+      dictionary D{required long x;};enum E{"a","b"};interface Empty{};`;
+    expect(writer.write(wp.parse(idl), { format: true })).toBe(`[Exposed=(Window,Worker), Constructor(DOMString a, long b)]
+interface Foo : Bar {
+  const long X = 1;
+  [SameObject] readonly attribute Node node;
+  void f(optional long a = 1, DOMString... rest);
+};
+
+dictionary D {
+  required long x;
+};
+
+enum E { "a", "b" };
+
+interface Empty {};
+`);
+  });
+
+  it("should keep comments and single blank lines", () => {
+    const idl = `// Leading comment
+interface Foo {
+    /** Doc
+        * comment */
+  const long X = 1;
+
+
+  void f(); // trailing
+};
+enum E {
+  "a", // first
+  "b"
+};`;
+    expect(writer.write(wp.parse(idl, { ws: true }), { format: true, indent: "    " })).toBe(`// Leading comment
+interface Foo {
+    /** Doc
+     * comment */
+    const long X = 1;
+
+    void f(); // trailing
+};
+
+enum E {
+    "a", // first
+    "b"
+};
+`);
+  });
+});
+
+describe("Calls the writer hooks with the nodes being written", () => {
+  const idl = `[Exposed=Window] interface Foo : Bar {
+  attribute DOMString? name;
+  void greet(optional Mode mode = "loud");
+};
+enum Mode { "loud", "quiet" };`;
+
+  it("should let the hooks mark up the output", () => {
+    const wrap = kind => str => `<${kind}>${str}</${kind}>`;
+    const html = writer.write(wp.parse(idl, { ws: true }), {
+      type: wrap("t"),
+      reference: wrap("r"),
+      definitionName: wrap("dfn"),
+      memberName: wrap("m"),
+      argumentName: wrap("a"),
+      extendedAttributeName: wrap("x"),
+      string: wrap("s"),
+      enumValue: wrap("v"),
+      keyword: wrap("k")
+    });
+    expect(html).toBe(`[<x>Exposed</x>=<r>Window</r>] <k>interface</k> <dfn>Foo</dfn> : <r>Bar</r> {
+  <k>attribute</k> <t>DOMString</t>? <m>name</m>;
+  <t>void</t> <m>greet</m>(<k>optional</k> <t>Mode</t> <a>mode</a> = <s>"loud"</s>);
+};
+<k>enum</k> <dfn>Mode</dfn> { <v>"loud"</v>, <v>"quiet"</v> };`);
+  });
+
+  it("should pass the node and its parents, closest first", () => {
+    const calls = [];
+    writer.write(wp.parse(idl), {
+      type(str, node, parents) {
+        calls.push([str, node.type, parents.map(p => p.name || p.type)]);
+        return str;
+      },
+      argumentName(str, node, parents) {
+        calls.push([str, node.name, parents.map(p => p.name)]);
+        return str;
+      }
+    });
+    expect(calls).toEqual([
+      ["DOMString", "attribute-type", ["name", "Foo"]],
+      ["void", "return-type", ["greet", "Foo"]],
+      ["Mode", "argument-type", ["mode", "greet", "Foo"]],
+      ["mode", "mode", ["greet", "Foo"]]
+    ]);
+  });
+
+  it("should write the same text with identity hooks", () => {
+    const tree = wp.parse(idl, { ws: true });
+    const text = str => str;
+    expect(writer.write(tree, { text, keyword: text, format: true })).toBe(writer.write(tree, { format: true }));
+    expect(writer.write(tree, { text: str => str.replace(/ /g, "") })).toBe(idl.replace(/ /g, ""));
+  });
+});